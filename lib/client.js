@@ -12,8 +12,13 @@
 
 'use strict';
 
+const assert = require('bsert');
 const {NodeClient} = require('bcoin/lib/client');
 
+// number of events fetched at a
+// time when replaying the log
+const REPLAY_LIMIT = 100;
+
 /**
  * Client for relay
  * Extends NodeClient, the relay http
@@ -21,11 +26,26 @@ const {NodeClient} = require('bcoin/lib/client');
  * the bcoin http server.
  *
  * GET /relay
+ * GET /relay/latest/:maxID
  * GET /relay/outpoint
  * GET /relay/outpoint/:hash/:index
  * GET /relay/script
  * GET /relay/script/:script
- * POST /relay/request
+ * GET /relay/request
+ * PUT /relay/request
+ * DEL /relay/request
+ * GET /relay/request/:id
+ * GET /relay/request/:id/satisfaction
+ * GET /relay/request/:id/proof
+ * GET /relay/request/:id/status
+ * POST /relay/request/:id/cancel
+ * GET /relay/proof/:txid
+ * GET /relay/headers
+ * POST /relay/rescan
+ * GET /relay/rescan
+ * GET /relay/rescan/:id
+ * DEL /relay/rescan/:id
+ * GET /relay/events
  * DEL /relay
  *
  */
@@ -33,6 +53,19 @@ const {NodeClient} = require('bcoin/lib/client');
 class RelayClient extends NodeClient {
   constructor(options) {
     super(options);
+
+    // sequence of the last replayed event
+    this.since = 0;
+    this.handler = null;
+    this.replaying = Promise.resolve();
+
+    // Requests are managed over the
+    // socket once it is authed
+    this.authed = false;
+
+    this.on('disconnect', () => {
+      this.authed = false;
+    });
   }
 
   async open() {
@@ -41,11 +74,13 @@ class RelayClient extends NodeClient {
   }
 
   async auth() {
-    return this.call('auth', this.password);
+    await this.call('auth', this.password);
+    this.authed = true;
   }
 
   async close() {
     await this.unwatchRelay();
+    this.authed = false;
     await super.close();
   }
 
@@ -57,6 +92,46 @@ class RelayClient extends NodeClient {
     return await this.call('unwatch relay');
   }
 
+  /**
+   * Subscribe to the events of Requests, once
+   * subscribed the socket only receives the
+   * events of the Requests it subscribed to.
+   * @param {String[]} ids
+   * @returns {Promise}
+   */
+
+  async watchRequest(ids) {
+    return this.call('watch request', ids);
+  }
+
+  async unwatchRequest(ids) {
+    return this.call('unwatch request', ids);
+  }
+
+  async watchAddress(addresses) {
+    return this.call('watch address', addresses);
+  }
+
+  async unwatchAddress(addresses) {
+    return this.call('unwatch address', addresses);
+  }
+
+  async watchScript(scripts) {
+    return this.call('watch script', scripts);
+  }
+
+  async unwatchScript(scripts) {
+    return this.call('unwatch script', scripts);
+  }
+
+  async watchOutpoint(outpoints) {
+    return this.call('watch outpoint', outpoints);
+  }
+
+  async unwatchOutpoint(outpoints) {
+    return this.call('unwatch outpoint', outpoints);
+  }
+
   async getRelayInfo() {
     return this.get('/relay');
   }
@@ -65,16 +140,16 @@ class RelayClient extends NodeClient {
     return this.get(`/relay/latest/${maxID}`);
   }
 
-  async getOutpointRecords() {
-    return this.get('/relay/outpoint');
+  async getOutpointRecords(options = {}) {
+    return this.get('/relay/outpoint', options);
   }
 
-  async getOutpointRecord(hash, index) {
-    return this.get(`/relay/outpoint/${hash}/${index}`);
+  async getOutpointRecord(hash, index, options = {}) {
+    return this.get(`/relay/outpoint/${hash}/${index}`, options);
   }
 
-  async getScriptRecords() {
-    return this.get('/relay/script');
+  async getScriptRecords(options = {}) {
+    return this.get('/relay/script', options);
   }
 
   async getScriptRecord(script) {
@@ -82,15 +157,55 @@ class RelayClient extends NodeClient {
   }
 
   async putRequestRecord(options) {
+    if (this.authed)
+      return this.call('add request', options);
+
     return this.put('/relay/request', options);
   }
 
   async getRequest(id) {
+    if (this.authed)
+      return this.call('get request', id);
+
     return this.get(`/relay/request/${id}`);
   }
 
-  async getRequests() {
-    return this.get('/relay/request');
+  async getSatisfaction(id) {
+    return this.get(`/relay/request/${id}/satisfaction`);
+  }
+
+  async getRequestProof(id, options = {}) {
+    return this.get(`/relay/request/${id}/proof`, options);
+  }
+
+  async getStatusRecord(id) {
+    return this.get(`/relay/request/${id}/status`);
+  }
+
+  async cancelRequest(id) {
+    return this.post(`/relay/request/${id}/cancel`);
+  }
+
+  async getProof(txid, options = {}) {
+    return this.get(`/relay/proof/${txid}`, options);
+  }
+
+  async getHeaders(from, count) {
+    return this.get('/relay/headers', {from, count});
+  }
+
+  async getRequests(options = {}) {
+    if (this.authed)
+      return this.call('get requests', options);
+
+    return this.get('/relay/request', options);
+  }
+
+  async deleteRequest(id) {
+    if (this.authed)
+      return this.call('delete request', id);
+
+    return this.del('/relay/request', {id});
   }
 
   async wipe() {
@@ -100,6 +215,103 @@ class RelayClient extends NodeClient {
   async rescan(height) {
     return this.post('/relay/rescan', {height});
   }
+
+  async getRescans() {
+    return this.get('/relay/rescan');
+  }
+
+  async getRescan(id) {
+    return this.get(`/relay/rescan/${id}`);
+  }
+
+  async cancelRescan(id) {
+    return this.del(`/relay/rescan/${id}`);
+  }
+
+  async getEvents(options = {}) {
+    return this.get('/relay/events', options);
+  }
+
+  /**
+   * Replay the logged events after a sequence
+   * and follow new ones. The handler is called
+   * with each event in order. Events missed while
+   * disconnected are replayed on reconnect.
+   * Calling it again replaces the handler.
+   * @param {Number} since - last seen sequence
+   * @param {Function} handler
+   * @returns {Promise}
+   */
+
+  async replay(since, handler) {
+    assert((since >>> 0) === since);
+    assert(typeof handler === 'function');
+
+    const bound = this.handler != null;
+
+    this.since = since;
+    this.handler = handler;
+
+    if (!bound) {
+      this.bind('relay event', (event) => {
+        this.update(event);
+      });
+
+      this.on('connect', async () => {
+        try {
+          await this.watchRelay();
+        } catch (e) {
+          this.emit('error', e);
+          return;
+        }
+
+        this.update(null);
+      });
+    }
+
+    return this.update(null);
+  }
+
+  /**
+   * Pass the next event to the handler, or
+   * catch up from the log when events were
+   * missed. Updates run one at a time.
+   * @private
+   */
+
+  update(event) {
+    this.replaying = this.replaying.then(async () => {
+      const {handler} = this;
+
+      if (event && event.seq <= this.since)
+        return;
+
+      if (event && event.seq === this.since + 1) {
+        await handler(event);
+        this.since = event.seq;
+        return;
+      }
+
+      for (;;) {
+        const events = await this.getEvents({
+          since: this.since,
+          limit: REPLAY_LIMIT
+        });
+
+        for (const record of events) {
+          await handler(record);
+          this.since = record.seq;
+        }
+
+        if (events.length < REPLAY_LIMIT)
+          break;
+      }
+    }).catch((e) => {
+      this.emit('error', e);
+    });
+
+    return this.replaying;
+  }
 }
 
 module.exports = RelayClient;
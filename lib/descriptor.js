@@ -0,0 +1,422 @@
+/*!
+ * descriptor.js - output descriptors for bcoin-relaylib
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const bio = require('bufio');
+const assert = require('bsert');
+const {hd, Script} = require('bcoin');
+const hash160 = require('bcrypto/lib/hash160');
+
+// a BIP32 child index must
+// be below the hardened range
+const HARDENED = 0x80000000;
+
+/**
+ * Descriptor
+ * Derives the scriptPubKeys of an extended
+ * public key. Supports the ranged pkh, wpkh
+ * and sh(wpkh) output descriptors, a bare
+ * xpub is read as pkh(xpub/0/*).
+ */
+
+class Descriptor extends bio.Struct {
+  constructor(options) {
+    super();
+
+    this.type = Descriptor.types.NONE;
+    this.origin = '';
+    this.xkey = '';
+    this.path = [];
+
+    // derived from the xkey and
+    // path when first needed
+    this.branch = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    let type = options.type;
+
+    if (typeof type === 'string') {
+      type = Descriptor.types[type.toUpperCase()];
+      assert(type != null, 'Unknown descriptor type.');
+    }
+
+    assert(Descriptor.typesByVal[type] != null, 'Unknown descriptor type.');
+
+    if (options.origin != null) {
+      assert(typeof options.origin === 'string');
+      this.origin = options.origin;
+    }
+
+    assert(typeof options.xkey === 'string');
+    assert(Array.isArray(options.path));
+
+    for (const index of options.path)
+      assert((index >>> 0) === index && index < HARDENED,
+        'Hardened derivation requires a private key.');
+
+    this.type = type;
+    this.xkey = options.xkey;
+    this.path = options.path;
+    this.branch = null;
+
+    if (!this.isNull())
+      this.getBranch(options.network);
+
+    return this;
+  }
+
+  isNull() {
+    return this.type === Descriptor.types.NONE;
+  }
+
+  /**
+   * Get the public key of the
+   * branch that is derived from.
+   * @param {Network?} network
+   * @returns {HDPublicKey}
+   */
+
+  getBranch(network) {
+    if (!this.branch) {
+      let key = hd.PublicKey.fromBase58(this.xkey, network);
+
+      for (const index of this.path)
+        key = key.derive(index);
+
+      this.branch = key;
+    }
+
+    return this.branch;
+  }
+
+  /**
+   * Derive the scriptPubKey at an index.
+   * @param {Number} index
+   * @returns {Script}
+   */
+
+  derive(index) {
+    assert(!this.isNull());
+    assert((index >>> 0) === index && index < HARDENED);
+
+    const key = this.getBranch().derive(index);
+    const hash = hash160.digest(key.publicKey);
+
+    switch (this.type) {
+      case Descriptor.types.PKH:
+        return Script.fromPubkeyhash(hash);
+      case Descriptor.types.WPKH:
+        return Script.fromProgram(0, hash);
+      case Descriptor.types.SH_WPKH: {
+        const redeem = Script.fromProgram(0, hash);
+        return Script.fromScripthash(hash160.digest(redeem.toRaw()));
+      }
+    }
+
+    throw new Error('Unknown descriptor type.');
+  }
+
+  /**
+   * Get the derivation path of an
+   * index relative to the xpub.
+   * @param {Number} index
+   * @returns {String}
+   */
+
+  getPath(index) {
+    return ['m', ...this.path, index].join('/');
+  }
+
+  getSize() {
+    let size = 1;
+    size += bio.sizeVarString(this.origin, 'ascii');
+    size += bio.sizeVarString(this.xkey, 'ascii');
+    size += 1 + this.path.length * 4;
+    return size;
+  }
+
+  read(br) {
+    this.type = br.readU8();
+    this.origin = br.readVarString('ascii');
+    this.xkey = br.readVarString('ascii');
+
+    const count = br.readU8();
+
+    this.path = [];
+
+    for (let i = 0; i < count; i++)
+      this.path.push(br.readU32());
+
+    this.branch = null;
+
+    return this;
+  }
+
+  write(bw) {
+    bw.writeU8(this.type);
+    bw.writeVarString(this.origin, 'ascii');
+    bw.writeVarString(this.xkey, 'ascii');
+    bw.writeU8(this.path.length);
+
+    for (const index of this.path)
+      bw.writeU32(index);
+
+    return bw;
+  }
+
+  /**
+   * Serialize the descriptor
+   * along with its checksum.
+   * @returns {String}
+   */
+
+  toString() {
+    if (this.isNull())
+      return '';
+
+    let key = this.xkey;
+
+    if (this.origin)
+      key = `[${this.origin}]${key}`;
+
+    for (const index of this.path)
+      key += `/${index}`;
+
+    key += '/*';
+
+    let desc;
+
+    switch (this.type) {
+      case Descriptor.types.PKH:
+        desc = `pkh(${key})`;
+        break;
+      case Descriptor.types.WPKH:
+        desc = `wpkh(${key})`;
+        break;
+      case Descriptor.types.SH_WPKH:
+        desc = `sh(wpkh(${key}))`;
+        break;
+    }
+
+    return `${desc}#${checksum(desc)}`;
+  }
+
+  /**
+   * Parse a descriptor or a bare xpub. A
+   * checksum is verified when it is present.
+   * @param {String} str
+   * @param {Network?} network - the network
+   * that the xpub must belong to
+   * @returns {Descriptor}
+   */
+
+  fromString(str, network) {
+    assert(typeof str === 'string');
+
+    str = str.trim();
+
+    const sep = str.indexOf('#');
+
+    if (sep !== -1) {
+      const sum = str.slice(sep + 1);
+      str = str.slice(0, sep);
+      assert(checksum(str) === sum, 'Invalid descriptor checksum.');
+    }
+
+    let type = Descriptor.types.PKH;
+    let key = str;
+    let wrapped = true;
+
+    if (str.startsWith('sh(wpkh(') && str.endsWith('))')) {
+      type = Descriptor.types.SH_WPKH;
+      key = str.slice(8, -2);
+    } else if (str.startsWith('wpkh(') && str.endsWith(')')) {
+      type = Descriptor.types.WPKH;
+      key = str.slice(5, -1);
+    } else if (str.startsWith('pkh(') && str.endsWith(')')) {
+      type = Descriptor.types.PKH;
+      key = str.slice(4, -1);
+    } else {
+      assert(!str.includes('('), 'Unsupported descriptor.');
+      wrapped = false;
+    }
+
+    let origin = '';
+
+    if (key.startsWith('[')) {
+      const end = key.indexOf(']');
+      assert(end !== -1, 'Invalid key origin.');
+      origin = key.slice(1, end);
+      key = key.slice(end + 1);
+    }
+
+    const parts = key.split('/');
+    const xkey = parts.shift();
+
+    let path;
+
+    if (parts.length === 0 && !wrapped) {
+      // a bare xpub derives the
+      // receive branch by default
+      path = [0];
+    } else {
+      assert(parts.pop() === '*', 'Descriptor must be ranged.');
+      path = parts.map(parseIndex);
+    }
+
+    return this.fromOptions({
+      type: type,
+      origin: origin,
+      xkey: xkey,
+      path: path,
+      network: network
+    });
+  }
+
+  getJSON() {
+    return this.toString();
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+
+  static fromString(str, network) {
+    return new this().fromString(str, network);
+  }
+}
+
+/**
+ * Descriptor types.
+ * @enum {Number}
+ */
+
+Descriptor.types = {
+  NONE: 0,
+  PKH: 1,
+  WPKH: 2,
+  SH_WPKH: 3
+};
+
+/**
+ * Descriptor types by value.
+ * @const {String[]}
+ */
+
+Descriptor.typesByVal = [
+  'none',
+  'pkh',
+  'wpkh',
+  'sh_wpkh'
+];
+
+/*
+ * Helpers
+ */
+
+function parseIndex(str) {
+  assert(!/['h]$/.test(str), 'Hardened derivation requires a private key.');
+  assert(/^\d+$/.test(str), 'Invalid derivation path.');
+
+  const index = Number(str);
+  assert(index < HARDENED, 'Invalid derivation path.');
+
+  return index;
+}
+
+/*
+ * Descriptor checksum, see BIP380. The 40 bit
+ * checksum is kept as a number and xored as
+ * a high and a low part.
+ */
+
+const INPUT_CHARSET = '0123456789()[],\'/*abcdefgh@:$%{}'
+  + 'IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~'
+  + 'ijklmnopqrstuvwxyzABCDEFGH`#"\\ ';
+
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+const GENERATOR = [
+  0xf5dee51989,
+  0xa9fdca3312,
+  0x1bab10e32d,
+  0x3706b1677a,
+  0x644d626ffd
+];
+
+function xor40(a, b) {
+  const hi = Math.floor(a / 0x100000000) ^ Math.floor(b / 0x100000000);
+  const lo = (a ^ b) >>> 0;
+  return hi * 0x100000000 + lo;
+}
+
+function polymod(symbols) {
+  let chk = 1;
+
+  for (const value of symbols) {
+    const top = Math.floor(chk / 0x800000000);
+
+    chk = (chk % 0x800000000) * 32 + value;
+
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1)
+        chk = xor40(chk, GENERATOR[i]);
+    }
+  }
+
+  return chk;
+}
+
+function checksum(str) {
+  const symbols = [];
+
+  let groups = [];
+
+  for (const ch of str) {
+    const value = INPUT_CHARSET.indexOf(ch);
+    assert(value !== -1, 'Invalid descriptor character.');
+
+    symbols.push(value & 31);
+    groups.push(value >>> 5);
+
+    if (groups.length === 3) {
+      symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2]);
+      groups = [];
+    }
+  }
+
+  if (groups.length === 1)
+    symbols.push(groups[0]);
+  else if (groups.length === 2)
+    symbols.push(groups[0] * 3 + groups[1]);
+
+  for (let i = 0; i < 8; i++)
+    symbols.push(0);
+
+  const chk = xor40(polymod(symbols), 1);
+
+  let out = '';
+
+  for (let i = 0; i < 8; i++) {
+    const shift = Math.pow(2, 5 * (7 - i));
+    out += CHECKSUM_CHARSET[Math.floor(chk / shift) % 32];
+  }
+
+  return out;
+}
+
+module.exports = Descriptor;
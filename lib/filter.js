@@ -0,0 +1,149 @@
+/*!
+ * filter.js - filter of watched items for bcoin-relaylib
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {BloomFilter} = require('bfilter');
+const {BufferSet} = require('buffer-map');
+
+/**
+ * RelayFilter
+ * Tests outpoints and scriptPubKeys against
+ * the items that Requests are watching. Uses
+ * a bloom filter sized for a number of items
+ * or an exact set of the items. The bloom filter
+ * is never sent to peers, so it is created without
+ * the BIP37 size limits to allow it to grow.
+ */
+
+class RelayFilter {
+  constructor(options) {
+    this.items = 20000;
+    this.rate = 0.001;
+    this.exact = false;
+
+    // number of distinct items added
+    this.size = 0;
+
+    this.bloom = null;
+    this.set = null;
+
+    if (options)
+      this.fromOptions(options);
+
+    this.reset();
+  }
+
+  fromOptions(options) {
+    if (options.items != null) {
+      assert(Number.isSafeInteger(options.items) && options.items > 0,
+        'Filter items must be a positive integer.');
+      this.items = options.items;
+    }
+
+    if (options.rate != null) {
+      assert(typeof options.rate === 'number');
+      assert(options.rate > 0 && options.rate < 1,
+        'Filter rate must be between 0 and 1.');
+      this.rate = options.rate;
+    }
+
+    if (options.exact != null) {
+      assert(typeof options.exact === 'boolean');
+      this.exact = options.exact;
+    }
+
+    return this;
+  }
+
+  /**
+   * Empty the filter. The bloom filter
+   * is recreated to hold a number of items.
+   * @param {Number?} items
+   */
+
+  reset(items) {
+    if (items != null) {
+      assert(Number.isSafeInteger(items) && items > 0);
+      this.items = items;
+    }
+
+    this.size = 0;
+
+    if (this.exact) {
+      this.set = new BufferSet();
+      return;
+    }
+
+    this.bloom = BloomFilter.fromRate(this.items, this.rate, -1);
+  }
+
+  /**
+   * Add an item to the filter. Items that are
+   * already in it are not counted again, for a
+   * bloom filter a false positive is not counted
+   * either.
+   * @param {Buffer} data
+   */
+
+  add(data) {
+    if (this.exact) {
+      this.set.add(data);
+      this.size = this.set.size;
+      return;
+    }
+
+    if (this.bloom.added(data))
+      this.size += 1;
+  }
+
+  test(data) {
+    if (this.exact)
+      return this.set.has(data);
+
+    return this.bloom.test(data);
+  }
+
+  /**
+   * Remove an item from the filter. Only
+   * the exact set supports removal.
+   * @param {Buffer} data
+   * @returns {Boolean} - whether it was removed
+   */
+
+  remove(data) {
+    if (!this.exact)
+      return false;
+
+    this.set.delete(data);
+    this.size = this.set.size;
+
+    return true;
+  }
+
+  /**
+   * Test whether the bloom filter holds more
+   * items than it was sized for, after which
+   * the false positive rate climbs.
+   * @returns {Boolean}
+   */
+
+  isFull() {
+    if (this.exact)
+      return false;
+
+    return this.size > this.items;
+  }
+}
+
+module.exports = RelayFilter;
@@ -14,15 +14,42 @@
 
 const assert = require('bsert');
 const path = require('path');
+const {URL} = require('url');
 const {Server} = require('bweb');
 const Validator = require('bval');
-const {Script, Network, Outpoint} = require('bcoin');
+const {Script, Network, Address, Outpoint} = require('bcoin');
 const base58 = require('bcrypto/lib/encoding/base58');
 const random = require('bcrypto/lib/random');
 const sha256 = require('bcrypto/lib/sha256');
 const {safeEqual} = require('bcrypto/lib/safe');
-const {BufferSet} = require('buffer-map');
 const Request = require('./request');
+const {Pattern} = require('./pattern');
+const Descriptor = require('./descriptor');
+const Subscriptions = require('./subscriptions');
+
+// max number of headers in a single
+// response, one difficulty epoch
+const MAX_HEADERS = 2016;
+
+// max number of unused scripts
+// derived for a descriptor
+const MAX_GAP = 1000;
+
+// max number of items subscribed
+// to in a single call
+const MAX_SUBSCRIPTIONS = 1000;
+
+// default and max number of
+// records in a listed page
+const DEFAULT_PAGE = 100;
+const MAX_PAGE = 1000;
+
+// max length of a callback url
+const MAX_CALLBACK = 1024;
+
+// max number of logged events
+// in a single response
+const MAX_EVENTS = 1000;
 
 /**
  * Initialize HTTP Endpoints.
@@ -30,12 +57,27 @@ const Request = require('./request');
  * a new base path /relay
  *
  * GET /relay
+ * GET /relay/latest/:maxID
  * GET /relay/outpoint
  * GET /relay/outpoint/:hash/:index
  * GET /relay/script
  * GET /relay/script/:script
- * POST /relay/request
  * GET /relay/request
+ * PUT /relay/request
+ * DEL /relay/request
+ * GET /relay/request/:id
+ * GET /relay/request/:id/satisfaction
+ * GET /relay/request/:id/proof
+ * GET /relay/request/:id/status
+ * POST /relay/request/:id/cancel
+ * GET /relay/proof/:txid
+ * GET /relay/headers
+ * POST /relay/rescan
+ * GET /relay/rescan
+ * GET /relay/rescan/:id
+ * DEL /relay/rescan/:id
+ * GET /relay/events
+ * DEL /relay
  */
 
 class HTTP extends Server {
@@ -47,6 +89,11 @@ class HTTP extends Server {
     this.node = options.node;
     this.relay = options.relay;
     this.logger = options.logger;
+    this.network = this.options.network;
+
+    // delivery of events to the sockets
+    // that subscribed to Requests
+    this.notifying = Promise.resolve();
 
     this.init();
   }
@@ -110,7 +157,7 @@ class HTTP extends Server {
       const request = await this.relay.getLatestRequest();
 
       res.json(200, {
-        latest: request ? request.toJSON() : null,
+        latest: request ? request.getJSON(this.network) : null,
         height: this.node.chain.height,
         tip: this.node.chain.tip.rhash()
       });
@@ -127,38 +174,145 @@ class HTTP extends Server {
 
       const request = await this.relay.getLatestRequestUnderID(maxID);
 
-      res.json(200, request ? request.toJSON() : null);
+      res.json(200, request ? request.getJSON(this.network) : null);
     });
 
+    /**
+     * Start a rescan job from a height to
+     * the tip. Responds with the job while
+     * it runs in the background.
+     */
+
     this.post('/relay/rescan', async (req, res) => {
       const valid = Validator.fromRequest(req);
-      const height = valid.uint('height');
+      const height = valid.u32('height');
+      enforce(height != null, 'Height is required');
 
-      // this may timeout
-      await this.relay.rescan(height);
+      const job = await this.relay.startRescan(height);
 
-      res.json(200, {success: true});
+      res.json(200, job.toJSON());
+    });
+
+    /**
+     * Get all rescan jobs.
+     */
+
+    this.get('/relay/rescan', async (req, res) => {
+      const jobs = await this.relay.getRescans();
+
+      res.json(200, jobs.map(j => j.toJSON()));
+    });
+
+    /**
+     * Get the progress of a rescan job.
+     * id - job id
+     */
+
+    this.get('/relay/rescan/:id', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.u32('id');
+      enforce(id != null, 'Invalid id');
+
+      const job = await this.relay.getRescan(id);
+
+      if (!job) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, job.toJSON());
+    });
+
+    /**
+     * Cancel a running rescan job.
+     * id - job id
+     */
+
+    this.del('/relay/rescan/:id', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.u32('id');
+      enforce(id != null, 'Invalid id');
+
+      const job = await this.relay.getRescan(id);
+
+      if (!job) {
+        res.json(404);
+        return;
+      }
+
+      enforce(job.isRunning(), 'Rescan is not running');
+
+      const cancelled = await this.relay.cancelRescan(id);
+
+      if (!cancelled) {
+        res.json(400);
+        return;
+      }
+
+      res.json(200, cancelled.toJSON());
+    });
+
+    /**
+     * Get the logged events after a sequence.
+     * since - last seen sequence, 0 for all
+     * limit - max number of events
+     */
+
+    this.get('/relay/events', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const since = valid.u32('since', 0);
+      const limit = valid.u32('limit', 100);
+
+      enforce(limit > 0 && limit <= MAX_EVENTS, 'Invalid limit');
+
+      const events = await this.relay.getEvents(since, limit);
+
+      res.json(200, events.map(e => e.toJSON()));
     });
 
     /**
-     * Get all indexed outpoints.
-     * TODO: implement
+     * Get a page of indexed outpoints.
+     * spent   - optional, true for spent and
+     *           false for unspent OutpointRecords
+     * after   - optional outpoint to start after,
+     *           as big endian hash:index
+     * limit   - max number of records, all
+     *           of them without limit or after
+     * reverse - optional, descending order
      */
 
     this.get('/relay/outpoint', async (req, res) => {
-      res.json(400, {});
+      const valid = Validator.fromRequest(req);
+      const spent = valid.bool('spent');
+      const after = fromOutpoint(valid.str('after'));
+
+      const records = await this.relay.getOutpointRecordPage({
+        spent: spent,
+        after: after,
+        limit: fromLimit(valid, after),
+        reverse: valid.bool('reverse', false)
+      });
+
+      const json = [];
+      for (const record of records)
+        json.push(record.toJSON());
+
+      res.json(200, json);
     });
 
     /**
      * Get an OutpointRecord.
      * hash  - big endian
      * index - number
+     * spent - optional, 404 unless the
+     *         record is in that state
      */
 
     this.get('/relay/outpoint/:hash/:index', async (req, res) => {
       const valid = Validator.fromRequest(req);
       const hash = valid.brhash('hash');
       const index = valid.uint('index');
+      const spent = valid.bool('spent');
 
       if (hash == null || index == null) {
         res.json(400);
@@ -175,16 +329,35 @@ class HTTP extends Server {
         return;
       }
 
+      if (spent != null && record.isSpent() !== spent) {
+        res.json(404);
+        return;
+      }
+
       res.json(200, record.toJSON());
     });
 
     /**
-     * Get all ScriptRecords.
-     * TODO: implement
+     * Get a page of ScriptRecords, in the
+     * order of their script hashes.
+     * after   - optional script or address
+     *           to start after
+     * limit   - max number of records, all
+     *           of them without limit or after
+     * reverse - optional, descending order
      */
 
     this.get('/relay/script', async (req, res) => {
-      res.json(400, {});
+      const valid = Validator.fromRequest(req);
+      const script = fromPays(valid.str('after'), this.network);
+
+      const records = await this.relay.getScriptRecordPage({
+        after: script ? sha256.digest(script) : null,
+        limit: fromLimit(valid, script),
+        reverse: valid.bool('reverse', false)
+      });
+
+      res.json(200, records.map(r => r.getJSON(this.network)));
     });
 
     /**
@@ -211,7 +384,85 @@ class HTTP extends Server {
         return;
       }
 
-      res.json(200, record.toJSON());
+      res.json(200, record.getJSON(this.network));
+    });
+
+    /**
+     * Get a stateless SPV proof for a confirmed tx.
+     * txid          - big endian
+     * confirmations - optional length of the header
+     *                 chain, defaults to 1
+     * block         - optional big endian block hash,
+     *                 required without a tx index
+     */
+
+    this.get('/relay/proof/:txid', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const txid = valid.brhash('txid');
+      const confirmations = valid.u32('confirmations', 1);
+      const block = valid.brhash('block');
+
+      enforce(txid, 'Invalid txid');
+      enforce(confirmations > 0, 'Confirmations must be positive');
+
+      const location = await this.relay.findTX(txid, block);
+
+      if (!location) {
+        res.json(404);
+        return;
+      }
+
+      const {entry, index} = location;
+
+      enforce(this.relay.getDepth(entry) >= confirmations,
+        'Not enough confirmations');
+
+      const proof = await this.relay.buildProof(entry, location.block, index, {
+        confirmations: confirmations
+      });
+
+      res.json(200, proof.toJSON());
+    });
+
+    /**
+     * Get a chain of raw 80 byte headers, split
+     * into epochs at difficulty retargets.
+     * from  - height or big endian block hash
+     * count - number of headers
+     */
+
+    this.get('/relay/headers', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const from = valid.uintbrhash('from');
+      const count = valid.u32('count', MAX_HEADERS);
+
+      enforce(from != null, 'Must pass from');
+      enforce(count > 0 && count <= MAX_HEADERS,
+        `Count must be between 1 and ${MAX_HEADERS}`);
+
+      const result = await this.relay.getHeaders(from, count);
+
+      if (!result) {
+        res.json(404);
+        return;
+      }
+
+      const epochs = [];
+      for (const epoch of result.epochs) {
+        epochs.push({
+          start: epoch.start,
+          end: epoch.end,
+          bits: epoch.bits,
+          target: epoch.target.toString('hex'),
+          retarget: epoch.retarget,
+          headers: Buffer.concat(epoch.headers).toString('hex')
+        });
+      }
+
+      res.json(200, {
+        headers: Buffer.concat(result.headers).toString('hex'),
+        epochs: epochs
+      });
     });
 
     /**
@@ -231,135 +482,205 @@ class HTTP extends Server {
         res.json(404);
         return;
       }
-      res.json(200, request.toJSON());
+      res.json(200, request.getJSON(this.network));
     });
 
     /**
-     * Get all indexed requests
+     * Get the most recent satisfaction of a Request.
+     * id - request id
      */
 
-    this.get('/relay/request', async (req, res) => {
-      const requests = await this.relay.getRequests();
+    this.get('/relay/request/:id/satisfaction', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.buf('id');
+      enforce(Buffer.isBuffer(id), 'Invalid id');
+      enforce(id.length === 32, 'id must be 32 bytes');
 
-      const json = [];
-      for (const request of requests)
-        json.push(request.toJSON());
+      const record = await this.relay.getSatisfaction(id);
 
-      res.json(200, json);
+      if (!record) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, record.toJSON());
     });
 
     /**
-     * Index a request.
-     *
-     * id      - request id
-     * address - ethereum address
-     * value -
-     * spends  - outpoint
-     * pays    - scriptPubKey
-     *
-     * Must have one of spends or pays or both.
-     *
-     * TODO: Error if duplicate id, allow
-     * for force argument to force overwrite
+     * Get a stateless SPV proof for the
+     * satisfaction of a Request.
+     * id            - request id
+     * confirmations - optional length of the header
+     *                 chain, defaults to the
+     *                 confirmations of the Request
      */
 
-    this.put('/relay/request', async (req, res) => {
+    this.get('/relay/request/:id/proof', async (req, res) => {
       const valid = Validator.fromRequest(req);
-
       const id = valid.buf('id');
-      enforce(id.length === 32, 'ID must be 32 bytes');
+      enforce(Buffer.isBuffer(id), 'Invalid id');
+      enforce(id.length === 32, 'id must be 32 bytes');
 
-      // handle with and without 0x prefix
-      let address = valid.str('address');
-      if (address.startsWith('0x'))
-        address = address.slice(2);
-      address = Buffer.from(address, 'hex');
+      const request = await this.relay.getRequest(id);
+      const record = await this.relay.getSatisfaction(id);
 
-      enforce(address && address.length === 20, 'Address malformed');
+      if (!request || !record) {
+        res.json(404);
+        return;
+      }
 
-      const value = valid.u64('value');
-      enforce(typeof value === 'number', 'Invalid value');
+      const depth = Math.max(request.confirmations, 1);
+      const confirmations = valid.u32('confirmations', depth);
 
-      const pays = valid.buf('pays');
+      enforce(confirmations > 0, 'Confirmations must be positive');
+      enforce(this.relay.getDepth(record) >= confirmations,
+        'Not enough confirmations');
 
-      // handle lack of fallback for child method
-      let spends;
-      if (valid.has('spends'))
-        spends = valid.child('spends');
-      else
-        spends = new Validator({});
+      const proof = await this.relay.getRequestProof(id, confirmations);
 
-      // swap endianness of json sent in
-      const hash = spends.brhash('hash');
-      const index = spends.uint('index');
+      if (!proof) {
+        res.json(404);
+        return;
+      }
 
-      // rescan height
-      const height = valid.uint('height');
+      res.json(200, proof.toJSON());
+    });
 
-      const isValid = isValidRequestInput({
-        hash: hash,
-        index: index,
-        pays: pays
-      });
+    /**
+     * Get the status transitions of a Request.
+     * id - request id
+     */
 
-      if (!isValid) {
-        res.json(400);
+    this.get('/relay/request/:id/status', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.buf('id');
+      enforce(Buffer.isBuffer(id), 'Invalid id');
+      enforce(id.length === 32, 'id must be 32 bytes');
+
+      const record = await this.relay.getStatusRecord(id);
+
+      if (!record) {
+        res.json(404);
         return;
       }
 
-      const request = Request.fromOptions({
-        id: id,
-        address: address,
-        value: value,
-        spends: {
-          hash: hash,
-          index: index
-        },
-        pays: pays
-      });
-      const records = await this.relay.addRequest(request);
+      res.json(200, record.toJSON());
+    });
+
+    /**
+     * Get a page of indexed requests, in id order.
+     * status  - optional, one of active, satisfied,
+     *           expired or cancelled
+     * expired - optional, true for expired and
+     *           false for active Requests
+     * start   - optional, earliest unix timestamp
+     * end     - optional, latest unix timestamp
+     * after   - optional request id to start after
+     * limit   - max number of requests, all
+     *           of them without limit or after
+     * reverse - optional, descending order
+     */
+
+    this.get('/relay/request', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const options = fromRequestPage(valid);
+      const requests = await this.relay.getRequestPage(options);
+
+      const json = [];
+      for (const request of requests)
+        json.push(request.getJSON(this.network));
+
+      res.json(200, json);
+    });
+
+    /**
+     * Index a request.
+     *
+     * id            - request id
+     * address       - ethereum address
+     * value         - threshold value in sats
+     *                 that pays must reach
+     * spends        - outpoint
+     * pays          - scriptPubKey or address
+     * confirmations - optional depth for
+     *                 'relay requests confirmed'
+     * sum           - optional, sum the outputs to
+     *                 pays within a tx for value
+     * expiresAtHeight - optional height at which
+     *                 the request stops being watched
+     * expiresAt     - optional unix time at which
+     *                 the request stops being watched
+     * mode          - optional, once or persistent,
+     *                 once requests stop being watched
+     *                 after their first satisfaction
+     *
+     * pattern       - optional rule for matching
+     *                 scriptPubKeys, {type, data} where
+     *                 type is prefix or keyhash
+     * confirms      - optional txid to watch
+     *                 for confirmation
+     * descriptor    - optional xpub or output
+     *                 descriptor to derive pays from
+     * gap           - optional number of unused
+     *                 scripts to derive, 20 by default
+     * callback      - optional http(s) url that
+     *                 satisfactions are posted to
+     *
+     * Must have at least one of spends, pays,
+     * pattern, confirms or descriptor.
+     *
+     * TODO: Error if duplicate id, allow
+     * for force argument to force overwrite
+     */
+
+    this.put('/relay/request', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const json = await this.addRequest(valid);
 
-      if (!records) {
+      if (!json) {
         res.json(400);
         return;
       }
 
-      const [r, orecord, srecord] = records;
+      res.json(200, json);
+    });
 
-      // TODO: move rescan functionality into
-      // addRequest, triggered by 2nd argument
-      let rescan = false;
-      if (typeof height === 'number') {
-        rescan = true;
+    /**
+     * Cancel an active Request. The Request
+     * is kept and is no longer watched.
+     * id - request id
+     */
 
-        // To prevent duplicate alerts, build a BufferSet
-        // of items to test against each block being scanned.
-        const items = new BufferSet();
+    this.post('/relay/request/:id/cancel', async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const id = valid.buf('id');
+      enforce(Buffer.isBuffer(id), 'Invalid id');
+      enforce(id.length === 32, 'id must be 32 bytes');
 
-        if (orecord) {
-          const outpoint = Outpoint.fromOptions(orecord.prevout);
-          const item = outpoint.toKey();
-          items.add(item);
-        }
+      const request = await this.relay.getRequest(id);
 
-        if (srecord)
-          items.add(srecord.script);
+      if (!request) {
+        res.json(404);
+        return;
+      }
 
-        this.relay.scan(height, (item) => {
-          return items.has(item);
-        });
+      enforce(request.isActive(), 'Request is not active');
+
+      const cancelled = await this.relay.cancelRequest(id);
+
+      if (!cancelled) {
+        res.json(400);
+        return;
       }
 
-      res.json(200, {
-        request: r.toJSON(),
-        outpoint: orecord ? orecord.toJSON() : null,
-        script: srecord ? srecord.toJSON() : null,
-        rescan: rescan
-      });
+      res.json(200, cancelled.getJSON(this.network));
     });
 
     /**
-     * Delete a single Request
+     * Delete a single Request along with
+     * its satisfaction. Responds with the
+     * records after the id is removed, a
+     * record without requests is deleted.
      */
 
     this.del('/relay/request', async (req, res) => {
@@ -367,10 +688,16 @@ class HTTP extends Server {
 
       const id = valid.buf('id');
       enforce(Buffer.isBuffer(id), 'Invalid id');
+      enforce(id.length === 32, 'id must be 32 bytes');
 
-      await this.relay.deleteRequest(id);
+      const json = await this.deleteRequest(id);
 
-      res.json(200, {success: true});
+      if (!json) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, json);
     });
 
     /**
@@ -391,6 +718,167 @@ class HTTP extends Server {
     });
   }
 
+  /**
+   * Validate and index a Request, shared by
+   * PUT /relay/request and 'add request'.
+   * @private
+   * @param {Validator} valid
+   * @returns {Promise<Object|null>} response json,
+   * null when the Request is invalid
+   */
+
+  async addRequest(valid) {
+    const id = valid.buf('id');
+    enforce(id && id.length === 32, 'ID must be 32 bytes');
+
+    const address = fromAddress(valid.str('address'));
+
+    const value = valid.u64('value');
+    enforce(typeof value === 'number', 'Invalid value');
+
+    // a scriptPubKey or an address
+    const pays = fromPays(valid.str('pays'), this.network);
+    const confirmations = valid.u32('confirmations', 0);
+    const sum = valid.bool('sum', false);
+    const expiresAtHeight = valid.u32('expiresAtHeight', 0);
+    const expiresAt = valid.u32('expiresAt', 0);
+
+    const mode = Request.modes[valid.str('mode', 'persistent').toUpperCase()];
+    enforce(mode != null, 'Invalid mode');
+
+    // handle lack of fallback for child method
+    let spends;
+    if (valid.has('spends'))
+      spends = valid.child('spends');
+    else
+      spends = new Validator({});
+
+    // swap endianness of json sent in
+    const hash = spends.brhash('hash');
+    const index = spends.uint('index');
+
+    // a rule for matching scriptPubKeys
+    let pattern = null;
+    if (valid.has('pattern')) {
+      const child = valid.child('pattern');
+
+      try {
+        pattern = Pattern.fromOptions({
+          type: child.str('type'),
+          data: child.buf('data')
+        });
+      } catch (e) {
+        enforce(false, 'Invalid pattern');
+      }
+
+      enforce(!pattern.isNull(), 'Invalid pattern');
+    }
+
+    // swap endianness of the txid
+    const confirms = valid.brhash('confirms');
+
+    // scripts derived from an xpub
+    let descriptor = null;
+    if (valid.has('descriptor')) {
+      try {
+        descriptor = Descriptor.fromString(valid.str('descriptor'),
+          this.network);
+      } catch (e) {
+        enforce(false, 'Invalid descriptor');
+      }
+    }
+
+    const gap = valid.u32('gap');
+    if (gap != null)
+      enforce(gap > 0 && gap <= MAX_GAP, 'Invalid gap');
+
+    // deliveries are signed with
+    // the relay webhook secret
+    const callback = fromCallback(valid.str('callback'));
+    if (callback != null)
+      enforce(this.relay.webhooks.isEnabled(), 'Webhooks are not enabled');
+
+    // rescan height
+    const height = valid.u32('height');
+
+    const isValid = isValidRequestInput({
+      hash: hash,
+      index: index,
+      pays: pays,
+      pattern: pattern,
+      confirms: confirms,
+      descriptor: descriptor
+    });
+
+    if (!isValid)
+      return null;
+
+    const request = Request.fromOptions({
+      id: id,
+      address: address,
+      value: value,
+      spends: {
+        hash: hash,
+        index: index
+      },
+      pays: pays,
+      confirmations: confirmations,
+      sum: sum,
+      expiresAtHeight: expiresAtHeight,
+      expiresAt: expiresAt,
+      mode: mode,
+      pattern: pattern,
+      confirms: confirms,
+      descriptor: descriptor,
+      gap: gap,
+      callback: callback
+    });
+    const records = await this.relay.addRequest(request, {
+      rescanFrom: height
+    });
+
+    if (!records)
+      return null;
+
+    const [r, orecord, srecord, trecord, job] = records;
+
+    // the rescan job is done when it finished
+    // before responding, otherwise it is running
+    return {
+      request: r.getJSON(this.network),
+      outpoint: orecord ? orecord.toJSON() : null,
+      script: srecord ? srecord.getJSON(this.network) : null,
+      tx: trecord ? trecord.toJSON() : null,
+      rescan: job ? job.toJSON() : null
+    };
+  }
+
+  /**
+   * Delete a Request, shared by DEL
+   * /relay/request and 'delete request'.
+   * @private
+   * @param {Buffer} id
+   * @returns {Promise<Object|null>} response json,
+   * null when there is no such Request
+   */
+
+  async deleteRequest(id) {
+    const removed = await this.relay.deleteRequest(id);
+
+    if (!removed)
+      return null;
+
+    const [r, orecord, srecord, trecord] = removed;
+
+    return {
+      success: true,
+      request: r.getJSON(this.network),
+      outpoint: orecord ? orecord.toJSON() : null,
+      script: srecord ? srecord.getJSON(this.network) : null,
+      tx: trecord ? trecord.toJSON() : null
+    };
+  }
+
   /**
    * Handle new websocket.
    * This is called internally when a new
@@ -430,12 +918,16 @@ class HTTP extends Server {
   /**
    * Handle new auth'd websocket.
    * This adds hooks. The websocket client
-   * must call 'watch relay' to receive events.
+   * must call 'watch relay' to receive events,
+   * or subscribe to Requests to receive only
+   * the events of those Requests.
    * @private
    * @param {WebSocket} socket
    */
 
   handleAuth(socket) {
+    socket.subscriptions = new Subscriptions();
+
     socket.hook('watch relay', () => {
       socket.join('relay');
       return null;
@@ -445,6 +937,185 @@ class HTTP extends Server {
       socket.leave('relay');
       return null;
     });
+
+    for (const kind of ['request', 'address', 'script', 'outpoint']) {
+      socket.hook(`watch ${kind}`, (...args) => {
+        const items = this.parseSubscription(kind, args);
+
+        socket.subscriptions.add(kind, items);
+        socket.join('subscriptions');
+
+        return null;
+      });
+
+      socket.hook(`unwatch ${kind}`, (...args) => {
+        const items = this.parseSubscription(kind, args);
+
+        socket.subscriptions.remove(kind, items);
+
+        if (socket.subscriptions.isEmpty())
+          socket.leave('subscriptions');
+
+        return null;
+      });
+    }
+
+    // mirror the /relay/request routes
+    socket.hook('add request', async (...args) => {
+      const valid = new Validator(args);
+      const json = await this.addRequest(valid.child(0));
+
+      if (!json)
+        throw new Error('Invalid request.');
+
+      return json;
+    });
+
+    socket.hook('get request', async (...args) => {
+      const valid = new Validator(args);
+      const id = valid.buf(0);
+      enforce(id && id.length === 32, 'ID must be 32 bytes');
+
+      const request = await this.relay.getRequest(id);
+
+      if (!request)
+        return null;
+
+      return request.getJSON(this.network);
+    });
+
+    socket.hook('get requests', async (...args) => {
+      const valid = new Validator(args);
+      const options = fromRequestPage(new Validator(valid.obj(0, {})));
+      const requests = await this.relay.getRequestPage(options);
+
+      return requests.map(r => r.getJSON(this.network));
+    });
+
+    socket.hook('delete request', async (...args) => {
+      const valid = new Validator(args);
+      const id = valid.buf(0);
+      enforce(id && id.length === 32, 'ID must be 32 bytes');
+
+      return this.deleteRequest(id);
+    });
+  }
+
+  /**
+   * Parse the items of a subscription. Requests
+   * are given by id, addresses are ethereum
+   * addresses, scripts are scriptPubKeys or
+   * addresses of the network and outpoints
+   * are {hash, index} objects.
+   * @private
+   * @param {String} kind
+   * @param {Array} args
+   * @returns {Buffer[]}
+   */
+
+  parseSubscription(kind, args) {
+    const valid = new Validator(args);
+    const list = valid.array(0, []);
+    const items = new Validator(list);
+    const result = [];
+
+    enforce(list.length > 0, 'No items.');
+    enforce(list.length <= MAX_SUBSCRIPTIONS, 'Too many items.');
+
+    for (let i = 0; i < list.length; i++) {
+      switch (kind) {
+        case 'request': {
+          const id = items.buf(i);
+          enforce(id && id.length === 32, 'ID must be 32 bytes');
+          result.push(id);
+          break;
+        }
+        case 'address': {
+          result.push(fromAddress(items.str(i)));
+          break;
+        }
+        case 'script': {
+          const script = fromPays(items.str(i), this.network);
+          enforce(script && script.length > 0, 'Invalid script');
+          result.push(script);
+          break;
+        }
+        case 'outpoint': {
+          const child = items.child(i);
+          const hash = child.brhash('hash');
+          const index = child.u32('index');
+          enforce(hash && index != null, 'Invalid outpoint');
+          result.push(new Outpoint(hash, index).toRaw());
+          break;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Send a requests event over websocket. Sockets
+   * that watch the relay receive all of it, unless
+   * they subscribed to Requests. Those receive the
+   * part of the event for the Requests that they
+   * subscribed to.
+   * @private
+   * @param {String} type
+   * @param {Object} data
+   */
+
+  notify(type, data) {
+    const sockets = this.channel('relay');
+
+    if (sockets) {
+      for (const socket of sockets) {
+        if (socket.subscriptions.isEmpty())
+          socket.fire(`relay ${type}`, data);
+      }
+    }
+
+    if (!this.channel('subscriptions'))
+      return;
+
+    // the requests are read in order so that the
+    // events reach the subscribers in order
+    this.notifying = this.notifying.then(() => {
+      return this.notifySubscriptions(type, data);
+    }).catch((e) => {
+      this.logger.error('Subscription error: %s', e.message);
+    });
+  }
+
+  async notifySubscriptions(type, data) {
+    const key = Subscriptions.getKey(type);
+    const requests = [];
+
+    for (const id of data[key]) {
+      const request = await this.relay.getRequest(Buffer.from(id, 'hex'));
+
+      if (request)
+        requests.push(request);
+    }
+
+    const sockets = this.channel('subscriptions');
+
+    if (!sockets)
+      return;
+
+    for (const socket of sockets) {
+      const ids = [];
+
+      for (const request of requests) {
+        if (socket.subscriptions.test(request))
+          ids.push(request.id.toString('hex'));
+      }
+
+      if (ids.length === 0)
+        continue;
+
+      socket.fire(`relay ${type}`, Subscriptions.narrow(data, key, ids));
+    }
   }
 
   /**
@@ -456,12 +1127,58 @@ class HTTP extends Server {
 
   initSockets() {
     this.relay.on('requests satisfied', (data) => {
+      this.notify('requests satisfied', data);
+    });
+
+    this.relay.on('requests unsatisfied', (data) => {
+      this.notify('requests unsatisfied', data);
+    });
+
+    this.relay.on('requests confirmed', (data) => {
+      this.notify('requests confirmed', data);
+    });
+
+    this.relay.on('requests pending', (data) => {
+      this.notify('requests pending', data);
+    });
+
+    this.relay.on('requests evicted', (data) => {
+      this.notify('requests evicted', data);
+    });
+
+    this.relay.on('requests expired', (data) => {
+      this.notify('requests expired', data);
+    });
+
+    this.relay.on('requests unexpired', (data) => {
+      this.notify('requests unexpired', data);
+    });
+
+    this.relay.on('rescan progress', (data) => {
+      const sockets = this.channel('relay');
+
+      if (!sockets)
+        return;
+
+      this.to('relay', 'relay rescan progress', data);
+    });
+
+    this.relay.on('rescan complete', (data) => {
       const sockets = this.channel('relay');
 
       if (!sockets)
         return;
 
-      this.to('relay', 'relay requests satisfied', data);
+      this.to('relay', 'relay rescan complete', data);
+    });
+
+    this.relay.on('event', (data) => {
+      const sockets = this.channel('relay');
+
+      if (!sockets)
+        return;
+
+      this.to('relay', 'relay event', data);
     });
   }
 }
@@ -600,10 +1317,13 @@ class HTTPOptions {
 // hash and the index are valid.
 // pays is valid if pays is valid
 function isValidRequestInput(options) {
-  const {hash, index, pays} = options;
+  const {hash, index, pays, pattern, confirms, descriptor} = options;
 
   let isSpendsValid = false;
   let isPaysValid = false;
+  let isPatternValid = false;
+  let isConfirmsValid = false;
+  let isDescriptorValid = false;
 
   if (
     Buffer.isBuffer(hash)
@@ -617,13 +1337,194 @@ function isValidRequestInput(options) {
   if (Buffer.isBuffer(pays))
     isPaysValid = true;
 
-  return isSpendsValid || isPaysValid;
+  if (pattern && !pattern.isNull())
+    isPatternValid = true;
+
+  if (Buffer.isBuffer(confirms) && confirms.length === 32)
+    isConfirmsValid = true;
+
+  if (descriptor && !descriptor.isNull())
+    isDescriptorValid = true;
+
+  return isSpendsValid
+    || isPaysValid
+    || isPatternValid
+    || isConfirmsValid
+    || isDescriptorValid;
 }
 
 /*
  * Helpers
  */
 
+/**
+ * Parse pays as a hex scriptPubKey or
+ * as an address of the network. Empty
+ * scripts and scripts with a truncated
+ * push are rejected.
+ * @param {String?} pays
+ * @param {Network} network
+ * @returns {Buffer|null}
+ */
+
+function fromPays(pays, network) {
+  if (pays == null)
+    return null;
+
+  if (pays.startsWith('0x'))
+    pays = pays.slice(2);
+
+  if (/^([0-9a-f]{2})*$/i.test(pays)) {
+    const raw = Buffer.from(pays, 'hex');
+    enforce(raw.length > 0, 'Invalid pays script');
+
+    const script = Script.fromRaw(raw);
+    enforce(script.code.every(op => op.value !== -1), 'Invalid pays script');
+
+    return raw;
+  }
+
+  let address;
+  try {
+    address = Address.fromString(pays, network);
+  } catch (e) {
+    enforce(false, 'Invalid pays address');
+  }
+
+  return Script.fromAddress(address).toRaw();
+}
+
+/**
+ * Parse the status that Requests are
+ * filtered by, or expired as a shorthand
+ * for the expired or active Requests.
+ * @param {Validator} valid
+ * @returns {Number|null}
+ */
+
+function fromStatus(valid) {
+  const expired = valid.bool('expired');
+
+  let status = valid.str('status');
+
+  if (status == null && expired != null)
+    status = expired ? 'expired' : 'active';
+
+  if (status == null)
+    return null;
+
+  status = Request.statuses[status.toUpperCase()];
+  enforce(status != null, 'Invalid status');
+
+  return status;
+}
+
+/**
+ * Parse the options of a page of Requests.
+ * @param {Validator} valid
+ * @returns {Object}
+ */
+
+function fromRequestPage(valid) {
+  const after = valid.buf('after');
+  enforce(!after || after.length === 32, 'Invalid after');
+
+  return {
+    status: fromStatus(valid),
+    start: valid.u32('start'),
+    end: valid.u32('end'),
+    after: after,
+    limit: fromLimit(valid, after),
+    reverse: valid.bool('reverse', false)
+  };
+}
+
+/**
+ * Parse the max number of items in a page.
+ * A list without a limit or a cursor is
+ * not paged, all of its items are returned.
+ * @param {Validator} valid
+ * @param {Object?} after - cursor
+ * @returns {Number|null}
+ */
+
+function fromLimit(valid, after) {
+  if (!valid.has('limit') && after == null)
+    return null;
+
+  const limit = valid.u32('limit', DEFAULT_PAGE);
+  enforce(limit > 0 && limit <= MAX_PAGE, 'Invalid limit');
+  return limit;
+}
+
+/**
+ * Parse an outpoint cursor, a big
+ * endian hash and an index as hash:index.
+ * @param {String?} str
+ * @returns {Object|null}
+ */
+
+function fromOutpoint(str) {
+  if (str == null)
+    return null;
+
+  const parts = str.split(':');
+
+  enforce(parts.length === 2
+    && /^[0-9a-f]{64}$/i.test(parts[0])
+    && /^\d{1,10}$/.test(parts[1]), 'Invalid outpoint');
+
+  const index = Number(parts[1]);
+  enforce((index >>> 0) === index, 'Invalid outpoint');
+
+  return {
+    hash: Buffer.from(parts[0], 'hex').reverse(),
+    index: index
+  };
+}
+
+/**
+ * Parse an ethereum address, with
+ * or without its 0x prefix.
+ * @param {String?} address
+ * @returns {Buffer}
+ */
+
+function fromAddress(address) {
+  enforce(address != null, 'Address malformed');
+
+  if (address.startsWith('0x'))
+    address = address.slice(2);
+
+  enforce(/^[0-9a-f]{40}$/i.test(address), 'Address malformed');
+
+  return Buffer.from(address, 'hex');
+}
+
+/**
+ * Parse a callback url.
+ * @param {String?} callback
+ * @returns {String|null}
+ */
+
+function fromCallback(callback) {
+  if (callback == null)
+    return null;
+
+  let url;
+  try {
+    url = new URL(callback);
+  } catch (e) {
+    enforce(false, 'Invalid callback');
+  }
+
+  enforce(url.protocol === 'http:' || url.protocol === 'https:',
+    'Invalid callback');
+  enforce(url.href.length <= MAX_CALLBACK, 'Invalid callback');
+
+  return url.href;
+}
+
 function enforce(value, msg) {
   if (!value) {
     const err = new Error(msg);
@@ -15,11 +15,25 @@
 const bdb = require('bdb');
 const Indexer = require('bcoin/lib/indexer/indexer');
 const layout = require('./layout');
-const {ScriptRecord, OutpointRecord} = require('./records');
+const {
+  ScriptRecord,
+  OutpointRecord,
+  SatisfactionRecord,
+  TXRecord,
+  StatusRecord,
+  JobRecord,
+  EventRecord,
+  WebhookRecord
+} = require('./records');
 const Request = require('./request');
+const SPVProof = require('./proof');
+const {Pattern, PatternSet} = require('./pattern');
 const sha256 = require('bcrypto/lib/sha256');
 const assert = require('bsert');
 const util = require('bcoin/lib/utils/util');
+const {Outpoint} = require('bcoin');
+const {BufferMap} = require('buffer-map');
+const {Lock} = require('bmutex');
 
 /**
  * RelayIndexer
@@ -33,345 +47,2139 @@ class RelayIndexer extends Indexer {
     assert(options.has && typeof options.has === 'function');
     this.has = options.has;
 
+    // attach SPV proofs to satisfied events
+    this.proofs = false;
+
+    if (options.proofs != null) {
+      assert(typeof options.proofs === 'boolean');
+      this.proofs = options.proofs;
+    }
+
+    // called with the filter item of a
+    // record that is watched again
+    this.watch = () => {};
+
+    if (options.watch != null) {
+      assert(typeof options.watch === 'function');
+      this.watch = options.watch;
+    }
+
+    // called with the filter item of a
+    // record that is no longer watched
+    this.unwatch = () => {};
+
+    if (options.unwatch != null) {
+      assert(typeof options.unwatch === 'function');
+      this.unwatch = options.unwatch;
+    }
+
+    // called once the writes of a block are
+    // committed, blocks may watch derived
+    // scripts and restored Requests
+    this.refilter = async () => {};
+
+    if (options.refilter != null) {
+      assert(typeof options.refilter === 'function');
+      this.refilter = options.refilter;
+    }
+
+    // patterns of the watched Requests
+    this.patterns = new PatternSet();
+
+    // writes staged in the current batch,
+    // null values are staged deletions
+    this.cache = new BufferMap();
+
+    // sequence of the last logged event
+    this.seq = 0;
+
+    // events logged in the current batch,
+    // emitted once it is committed
+    this.logged = [];
+
+    // held while a block is written, writes
+    // outside of a block take it so that they
+    // are not mixed into its batch
+    this.locker = new Lock();
+
     this.db = bdb.create(this.options);
   }
 
   async open() {
     await super.open();
+    await this.loadPatterns();
+    await this.loadSequence();
+  }
+
+  /**
+   * Load the patterns of the watched
+   * Requests into memory.
+   * @returns {Promise}
+   */
+
+  async loadPatterns() {
+    const items = await this.db.range({
+      gte: layout.p.min(),
+      lte: layout.p.max(),
+      values: true
+    });
+
+    this.patterns.clear();
+
+    for (const {key, value} of items) {
+      const [id] = layout.p.decode(key);
+      this.patterns.add(id, Pattern.decode(value));
+    }
+
+    this.logger.info('Loaded %d patterns.', this.patterns.size);
+  }
+
+  /**
+   * Load the sequence of the
+   * last logged event.
+   * @returns {Promise}
+   */
+
+  async loadSequence() {
+    const seqs = await this.db.keys({
+      gte: layout.l.min(),
+      lte: layout.l.max(),
+      reverse: true,
+      limit: 1,
+      parse: key => layout.l.decode(key)[0]
+    });
+
+    this.seq = seqs.length > 0 ? seqs[0] : 0;
+  }
+
+  /**
+   * Connect a block with the lock and
+   * update the filter once it is written.
+   */
+
+  async _addBlock(meta, block, view) {
+    const unlock = await this.locker.lock();
+    try {
+      await super._addBlock(meta, block, view);
+      await this.refilter();
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Disconnect a block with the lock and
+   * update the filter once it is written.
+   */
+
+  async _removeBlock(meta, block, view) {
+    const unlock = await this.locker.lock();
+    try {
+      await super._removeBlock(meta, block, view);
+      await this.refilter();
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Start a batch. Writes to the batch
+   * are cached so that reads within the
+   * batch see them.
+   */
+
+  start() {
+    super.start();
+    this.cache.clear();
+
+    // the events of a batch that was
+    // dropped were never written
+    if (this.logged.length > 0) {
+      this.seq = this.logged[0].seq - 1;
+      this.logged = [];
+    }
+  }
+
+  /**
+   * Write the batch and emit the
+   * events that were logged in it.
+   * @returns {Promise}
+   */
+
+  async commit() {
+    await super.commit();
+
+    const records = this.logged;
+    this.logged = [];
+
+    for (const record of records)
+      this.emit('event', record);
+  }
+
+  put(key, value) {
+    super.put(key, value);
+    this.cache.set(key, value);
+  }
+
+  del(key) {
+    super.del(key);
+    this.cache.set(key, null);
+  }
+
+  /**
+   * Read a key, including the writes
+   * staged in the current batch.
+   * @param {Buffer} key
+   * @returns {Promise<Buffer|null>}
+   */
+
+  async read(key) {
+    if (this.batch && this.cache.has(key))
+      return this.cache.get(key);
+
+    return this.db.get(key);
   }
 
   /**
    * Called every time that a block is connected
    * to the chain. The block is known to be valid
    * and is extending the main chain.
+   * @returns {Promise<Number>} - the number of
+   * Requests satisfied by the block
    */
 
   async indexBlock(meta, block, view, has = null) {
+    return this.connectBlock(meta, block, has, null, false);
+  }
+
+  /**
+   * Match a past block for a rescan. Expiry and
+   * confirmations belong to the tip, so only
+   * satisfactions are indexed. A rescan for a
+   * single Request passes its id as only, no
+   * other Request is satisfied by the block.
+   * @returns {Promise<Number>} - the number of
+   * Requests satisfied by the block
+   */
+
+  async rescanBlock(meta, block, has = null, only = null) {
+    return this.connectBlock(meta, block, has, only, true);
+  }
+
+  async connectBlock(meta, block, has, only, rescan) {
     if (has === null)
       has = this.has;
 
     assert(typeof has === 'function');
 
+    // expired Requests cannot be
+    // satisfied by this block
+    if (!rescan)
+      await this.expireRequests(meta, block);
+
+    // satisfactions that reach their
+    // confirmation depth in this block
+    const confirmed = [];
+
+    // number of Requests satisfied
+    let matches = 0;
+
     for (let i = 0; i < block.txs.length; i++) {
       const tx = block.txs[i];
 
       // little endian buffer
       const txid = tx.hash();
 
-      // maintain a deduplicated set of
-      // requests that have been satisfied
-      // by this block
-      const satisfied = new Set();
+      // record the spend of any watched outpoints
+      await this.indexSpends(tx, has);
 
-      // check to see if any prevouts have been consumed
-      // that are included in the bloom filter
-      for (const [j, input] of Object.entries(tx.inputs)) {
-        const prevout = input.prevout;
+      const satisfied = await this.matchTX(tx, has);
 
-        if (has(prevout.toRaw())) {
-          const index = Number(j);
-
-          this.logger.info('Filter hit: outpoint %s/%s',
-            util.revHex(txid), index);
+      if (only) {
+        for (const id of satisfied.keys()) {
+          if (id !== only.toString('hex'))
+            satisfied.delete(id);
+        }
+      }
 
-          const orecord = await this.getOutpointRecord(
-            prevout.hash,
-            prevout.index
-          );
+      matches += satisfied.size;
 
-          if (!orecord) {
-            this.logger.error('OutpointRecord not found for %s/%s',
-              util.revHex(txid), index);
+      if (satisfied.size > 0) {
+        // derivation paths of the matching
+        // scripts by request id
+        const paths = {};
+
+        // persist the satisfactions so that they
+        // can be queried after the event is sent
+        for (const [id, match] of satisfied) {
+          const record = SatisfactionRecord.fromOptions({
+            id: Buffer.from(id, 'hex'),
+            txid: txid,
+            block: meta.hash,
+            height: meta.height,
+            index: i,
+            input: match.input,
+            output: match.output,
+            value: match.value
+          });
+
+          await this.putSatisfaction(record);
+
+          const request = await this.getRequest(record.id);
+
+          if (!request)
             continue;
-          }
-
-          for (const req of orecord.requests)
-            satisfied.add(req.toString('hex'));
-        }
-      }
 
-      // check to see if any new outputs have been
-      // created that are being included in the bloom filter
-      for (const [j, output] of Object.entries(tx.outputs)) {
-        const script = output.script;
+          // move the window of derived scripts
+          // past the index of the matching script
+          if (match.derivation !== -1) {
+            paths[id] = request.descriptor.getPath(match.derivation);
+            await this.advanceDescriptor(request, match.derivation);
+          }
 
-        if (has(script.toRaw())) {
-          const index = Number(j);
+          // stop watching once Requests, the height is
+          // indexed to restore them on a disconnect
+          if (request.isOnce()) {
+            const {SATISFIED} = Request.statuses;
+            await this.deactivateRequest(request, SATISFIED, meta.height);
 
-          this.logger.info('Filter hit: scriptPubKey %s', script.toASM());
+            const key = layout.a.encode(meta.height, request.id);
 
-          // get the script record to know
-          // which request ids are interested
-          // in this newly created output
-          const srecord = await this.getScriptRecord(script.toRaw());
+            if (this.batch)
+              this.put(key, null);
+            else
+              await this.db.put(key, null);
+          }
 
-          if (!srecord) {
-            this.logger.error('ScriptRecord not found for %s/%s',
-              util.revHex(txid), index);
+          if (request.confirmations === 0 || rescan)
             continue;
-          }
 
-          for (const req of srecord.requests)
-            satisfied.add(req.toString('hex'));
+          // a single confirmation is reached immediately,
+          // deeper ones are tracked until a later block
+          if (request.confirmations === 1)
+            confirmed.push(record);
+          else
+            await this.putPendingConfirmation(record, request.confirmations);
         }
-      }
 
-      if (satisfied.size > 0) {
         // txid is big endian
-        this.emit('requests satisfied', {
+        const data = {
           txid: util.revHex(txid),
           height: meta.height,
-          satisfied: Array.from(satisfied)
-        });
+          satisfied: Array.from(satisfied.keys()),
+          values: getValues(satisfied),
+          paths: paths
+        };
+
+        // a proof for each Request that can be
+        // passed along to OnDemandSPV.provideProof
+        if (this.proofs) {
+          data.proofs = {};
+
+          for (const [id, match] of satisfied) {
+            const proof = SPVProof.fromBlock(block, i, {
+              input: match.input,
+              output: match.output,
+              request: Buffer.from(id, 'hex')
+            });
+
+            data.proofs[id] = proof.toJSON();
+          }
+        }
+
+        this.emit('requests satisfied', data);
       }
     }
-  }
 
-  // when new blocks are disconnected, do work here
-  async unindexBlock(meta, block, view) {
-    ;
+    if (rescan)
+      return matches;
+
+    const pending = await this.getPendingConfirmations(meta.height);
+
+    for (const [height, record] of pending) {
+      confirmed.push(record);
+      await this.deletePendingConfirmation(record, height);
+    }
+
+    await this.emitConfirmed(meta, block, confirmed);
+
+    return matches;
   }
 
-  async getRequest(id) {
-    const key = layout.i.encode(id);
-    const raw = await this.db.get(key);
+  /**
+   * Emit the satisfactions that reached their
+   * confirmation depth, grouped by transaction.
+   * The proofs of the satisfactions include the
+   * headers up to the confirming block.
+   * @param {Object} meta - the confirming block
+   * @param {Block} block - the confirming block
+   * @param {SatisfactionRecord[]} records
+   * @returns {Promise}
+   */
 
-    if (!raw)
-      return null;
+  async emitConfirmed(meta, block, records) {
+    const txs = new Map();
 
-    return Request.decode(raw, id);
+    for (const record of records) {
+      const txid = util.revHex(record.txid);
+
+      if (!txs.has(txid))
+        txs.set(txid, []);
+
+      txs.get(txid).push(record);
+    }
+
+    for (const [txid, group] of txs) {
+      const [record] = group;
+
+      const data = {
+        txid: txid,
+        height: record.height,
+        hash: util.revHex(record.block),
+        confirmations: meta.height - record.height + 1,
+        confirmed: group.map(r => r.id.toString('hex'))
+      };
+
+      if (this.proofs)
+        data.proofs = await this.getConfirmedProofs(meta, block, group);
+
+      this.emit('requests confirmed', data);
+    }
   }
 
-  async getRequests() {
-    const items = await this.db.range({
-      gte: layout.i.min(),
-      lte: layout.i.max(),
-      values: true
-    });
+  /**
+   * Build the proofs of the satisfactions by a
+   * tx with the headers from its block up to
+   * the confirming block.
+   * @param {Object} meta - the confirming block
+   * @param {Block} block - the confirming block
+   * @param {SatisfactionRecord[]} records
+   * @returns {Promise<Object>} - proof json
+   * by request id
+   */
 
-    const requests = [];
+  async getConfirmedProofs(meta, block, records) {
+    const [first] = records;
 
-    for (const {key, value} of items) {
-      const id = layout.i.decode(key)[0];
-      const request = Request.decode(value, id);
-      requests.push(request);
+    let source = block;
+
+    if (!first.block.equals(meta.hash))
+      source = await this.chain.getBlock(first.block);
+
+    if (!source) {
+      this.logger.error('No block for height %d', first.height);
+      return {};
     }
 
-    return requests;
+    const headers = [];
+
+    for (let height = first.height; height < meta.height; height++) {
+      const entry = await this.chain.getEntryByHeight(height);
+      headers.push(entry.toHeaders().toHead());
+    }
+
+    headers.push(block.toHead());
+
+    const proofs = {};
+
+    for (const record of records) {
+      const proof = SPVProof.fromBlock(source, record.index, {
+        headers: headers,
+        input: record.input,
+        output: record.output,
+        request: record.id
+      });
+
+      proofs[record.id.toString('hex')] = proof.toJSON();
+    }
+
+    return proofs;
   }
 
-  async hasRequest(id) {
-    const key = layout.i.encode(id);
-    return this.db.has(key);
+  /**
+   * Called every time that a block is disconnected
+   * from the chain. Transactions are matched in
+   * reverse order and any Requests they satisfied
+   * are reported as unsatisfied. Requests that
+   * the block satisfied once or expired are
+   * watched again.
+   */
+
+  async unindexBlock(meta, block, view, has = null) {
+    if (has === null)
+      has = this.has;
+
+    assert(typeof has === 'function');
+
+    for (let i = block.txs.length - 1; i >= 0; i--) {
+      const tx = block.txs[i];
+      const txid = tx.hash();
+
+      await this.unindexSpends(tx, has);
+
+      const unsatisfied = await this.matchTX(tx, has);
+
+      if (unsatisfied.size > 0) {
+        // only remove the satisfactions that
+        // were created by this block
+        for (const id of unsatisfied.keys()) {
+          const record = await this.getTXSatisfaction(
+            Buffer.from(id, 'hex'),
+            meta.height,
+            txid
+          );
+
+          if (!record || !record.block.equals(meta.hash))
+            continue;
+
+          await this.deleteSatisfaction(record);
+
+          // cancel a confirmation that has
+          // not reached its depth yet
+          const request = await this.getRequest(record.id);
+
+          if (request && request.confirmations > 1) {
+            const height = record.height + request.confirmations - 1;
+            await this.deletePendingConfirmation(record, height);
+          }
+        }
+
+        this.emit('requests unsatisfied', {
+          txid: util.revHex(txid),
+          height: meta.height,
+          hash: util.revHex(meta.hash),
+          unsatisfied: Array.from(unsatisfied.keys())
+        });
+      }
+    }
+
+    await this.restoreRequests(meta, block);
+    await this.restoreExpired(meta, block);
   }
 
   /**
-   * Add a Request to the database.
-   * Indexes the Request along with creating
-   * a OutpointRecord and/or a ScriptRecord.
+   * Watch the once Requests that were satisfied
+   * by a disconnected block again. They are no
+   * longer in any record, so they are found by
+   * the height of the satisfaction.
+   * @param {Object} meta
+   * @param {Block} block
+   * @returns {Promise}
    */
 
-  async addRequest(request) {
-    // make sure these writes are atomic
+  async restoreRequests(meta, block) {
+    const ids = await this.db.keys({
+      gte: layout.a.min(meta.height),
+      lte: layout.a.max(meta.height),
+      parse: key => layout.a.decode(key)[1]
+    });
 
-    if (!this.batch)
-      this.start();
+    // unsatisfied request ids by txid
+    const txs = new Map();
 
-    const r = await this.putRequest(request);
-    let orecord, srecord;
+    for (const id of ids) {
+      const key = layout.a.encode(meta.height, id);
 
-    // index the outpoint when it contains data
-    if (!request.spends.isNull()) {
-      orecord = OutpointRecord.fromOptions({
-        prevout: {
-          hash: request.spends.hash,
-          index: request.spends.index
-        },
-        requests: [r.id]
-      });
+      if (this.batch)
+        this.del(key);
+      else
+        await this.db.del(key);
 
-      this.logger.debug('Index orecord: %s/%s',
-        util.revHex(request.spends.hash), request.spends.index);
+      // the satisfaction that stopped the
+      // Request, once Requests have one
+      const records = await this.getSatisfactions(id, meta.height);
+      const record = records.find(r => r.block.equals(meta.hash));
+
+      if (!record)
+        continue;
+
+      const request = await this.getRequest(id);
+
+      if (!request)
+        continue;
+
+      await this.deleteSatisfaction(record);
+
+      if (request.confirmations > 1) {
+        const height = record.height + request.confirmations - 1;
+        await this.deletePendingConfirmation(record, height);
+      }
+
+      await this.reactivateRequest(request, meta, block);
+
+      const txid = util.revHex(record.txid);
+
+      if (!txs.has(txid))
+        txs.set(txid, []);
 
-      await this.putOutpointRecord(orecord, r);
+      txs.get(txid).push(id.toString('hex'));
     }
 
-    // index the script when it contains data
-    if (!request.pays.raw.equals(Buffer.alloc(0))) {
-      srecord = ScriptRecord.fromOptions({
-        script: request.pays.raw,
-        requests: [r.id]
+    for (const [txid, unsatisfied] of txs) {
+      this.emit('requests unsatisfied', {
+        txid: txid,
+        height: meta.height,
+        hash: util.revHex(meta.hash),
+        unsatisfied: unsatisfied
       });
+    }
+  }
 
-      this.logger.debug('Index srecord: %s',
-        request.pays.raw.toString('hex'));
+  /**
+   * Watch the Requests that expired with a
+   * disconnected block again. A block that
+   * replaces it expires them once more if
+   * they are still expired at its height
+   * and time.
+   * @param {Object} meta
+   * @param {Block} block
+   * @returns {Promise}
+   */
 
-      await this.putScriptRecord(srecord, request);
-    }
+  async restoreExpired(meta, block) {
+    const ids = await this.db.keys({
+      gte: layout.d.min(meta.height),
+      lte: layout.d.max(meta.height),
+      parse: key => layout.d.decode(key)[1]
+    });
 
-    await this.commit();
+    const unexpired = [];
+
+    for (const id of ids) {
+      const key = layout.d.encode(meta.height, id);
+
+      if (this.batch)
+        this.del(key);
+      else
+        await this.db.del(key);
+
+      const request = await this.getRequest(id);
+
+      if (!request || request.status !== Request.statuses.EXPIRED)
+        continue;
+
+      await this.reactivateRequest(request, meta, block);
 
-    return [r, orecord, srecord];
+      unexpired.push(id);
+    }
+
+    if (unexpired.length > 0) {
+      this.emit('requests unexpired', {
+        height: meta.height,
+        hash: util.revHex(meta.hash),
+        unexpired: unexpired.map(id => id.toString('hex'))
+      });
+    }
   }
 
   /**
-   * Index Request
-   * Must pass along request id
+   * Watch a Request that was stopped by a
+   * disconnected block again.
+   * @param {Request} request
+   * @param {Object} meta
+   * @param {Block} block
+   * @returns {Promise}
    */
 
-  async putRequest(request) {
-    const id = request.id;
-    assert(Buffer.isBuffer(id));
-    assert(id.length === 32, 'Bad ID length');
+  async reactivateRequest(request, meta, block) {
+    await this.setStatus(request, Request.statuses.ACTIVE, meta.height);
+    await this.putExpiry(request);
 
-    const key = layout.i.encode(id);
-    request.timestamp = util.now();
+    const [orecord, srecord, trecord] = await this.watchRequest(request);
 
-    if (this.batch)
-      this.put(key, request.encode());
-    else
-      this.db.put(key, request.encode());
+    if (orecord) {
+      // the spend was not unindexed while
+      // the outpoint was not watched
+      const {hash} = orecord.nextout;
 
-    return request;
+      if (block.txs.some(tx => tx.hash().equals(hash))) {
+        orecord.unspend();
+        await this.writeOutpointRecord(orecord);
+      }
+
+      const outpoint = Outpoint.fromOptions(orecord.prevout);
+      this.watch(outpoint.toRaw());
+    }
+
+    if (srecord)
+      this.watch(srecord.script);
+
+    if (trecord)
+      this.watch(trecord.txid);
   }
 
   /**
-   * Delete Request
+   * Write the spending txid and input index
+   * into the OutpointRecord of any watched
+   * outpoint consumed by the transaction.
+   * @param {TX} tx
+   * @param {Function} has
+   * @returns {Promise}
    */
 
-  async deleteRequest(id) {
+  async indexSpends(tx, has) {
+    const txid = tx.hash();
+
+    for (const [index, input] of tx.inputs.entries()) {
+      const prevout = input.prevout;
+
+      if (!has(prevout.toRaw()))
+        continue;
+
+      const orecord = await this.getOutpointRecord(
+        prevout.hash,
+        prevout.index
+      );
+
+      if (!orecord)
+        continue;
+
+      orecord.spend(txid, index);
+
+      await this.writeOutpointRecord(orecord);
+    }
+  }
+
+  /**
+   * Clear the nextout of any watched outpoint
+   * that was consumed by the transaction.
+   * @param {TX} tx
+   * @param {Function} has
+   * @returns {Promise}
+   */
+
+  async unindexSpends(tx, has) {
+    const txid = tx.hash();
+
+    for (const input of tx.inputs) {
+      const prevout = input.prevout;
+
+      if (!has(prevout.toRaw()))
+        continue;
+
+      const orecord = await this.getOutpointRecord(
+        prevout.hash,
+        prevout.index
+      );
+
+      if (!orecord || !orecord.nextout.hash.equals(txid))
+        continue;
+
+      orecord.unspend();
+
+      await this.writeOutpointRecord(orecord);
+    }
+  }
+
+  /**
+   * Test the inputs and outputs of a transaction
+   * against the filter and look up the records
+   * of any hits. Each satisfied request id maps
+   * to the first input and output that matched
+   * along with the value paid.
+   * @param {TX} tx
+   * @param {Function} has
+   * @returns {Promise<Map>} - request ids as hex
+   */
+
+  async matchTX(tx, has) {
+    // little endian buffer
+    const txid = tx.hash();
+
+    // maintain a deduplicated map of
+    // requests that have been satisfied
+    // by this transaction
+    const satisfied = new Map();
+
+    // check to see if the transaction
+    // itself is included in the bloom filter
+    if (has(txid)) {
+      this.logger.info('Filter hit: txid %s', util.revHex(txid));
+
+      const trecord = await this.getTXRecord(txid);
+
+      if (trecord) {
+        for (const req of trecord.requests)
+          getMatch(satisfied, req);
+      } else {
+        this.logger.error('TXRecord not found for %s', util.revHex(txid));
+      }
+    }
+
+    // check to see if any prevouts have been consumed
+    // that are included in the bloom filter
+    for (const [j, input] of Object.entries(tx.inputs)) {
+      const prevout = input.prevout;
+
+      if (has(prevout.toRaw())) {
+        const index = Number(j);
+
+        this.logger.info('Filter hit: outpoint %s/%s',
+          util.revHex(txid), index);
+
+        const orecord = await this.getOutpointRecord(
+          prevout.hash,
+          prevout.index
+        );
+
+        if (!orecord) {
+          this.logger.error('OutpointRecord not found for %s/%s',
+            util.revHex(txid), index);
+          continue;
+        }
+
+        for (const req of orecord.requests) {
+          const match = getMatch(satisfied, req);
+
+          if (match.input === -1)
+            match.input = index;
+        }
+      }
+    }
+
+    // the matching outputs and their values
+    // for each interested request id
+    const payments = new Map();
+
+    // check to see if any new outputs have been
+    // created that are being included in the bloom filter
+    for (const [j, output] of Object.entries(tx.outputs)) {
+      const script = output.script;
+      const index = Number(j);
+
+      // request ids interested in the output
+      const ids = new Set();
+
+      if (has(script.toRaw())) {
+        this.logger.info('Filter hit: scriptPubKey %s', script.toASM());
+
+        // get the script record to know
+        // which request ids are interested
+        // in this newly created output
+        const srecord = await this.getScriptRecord(script.toRaw());
+
+        if (srecord) {
+          for (const req of srecord.requests)
+            ids.add(req.toString('hex'));
+        } else {
+          this.logger.error('ScriptRecord not found for %s/%s',
+            util.revHex(txid), index);
+        }
+      }
+
+      // patterns are not in the filter
+      for (const req of this.patterns.match(script))
+        ids.add(req.toString('hex'));
+
+      for (const key of ids) {
+        if (!payments.has(key))
+          payments.set(key, []);
+
+        payments.get(key).push([index, output.value]);
+      }
+    }
+
+    // only payments that reach the thresh
+    // value of the Request satisfy it
+    for (const [key, outputs] of payments) {
+      const request = await this.getRequest(Buffer.from(key, 'hex'));
+
+      if (!request || !request.isActive())
+        continue;
+
+      const payment = selectPayment(request, outputs);
+
+      if (!payment) {
+        this.logger.debug('Payment below threshold for request %s', key);
+        continue;
+      }
+
+      const match = getMatch(satisfied, key);
+      match.output = payment.output;
+      match.value = payment.value;
+
+      if (request.hasDescriptor()) {
+        const {script} = tx.outputs[payment.output];
+        match.derivation = await this.getDerivation(request.id, script.toRaw());
+      }
+    }
+
+    return satisfied;
+  }
+
+  async getRequest(id) {
+    const key = layout.i.encode(id);
+    const raw = await this.read(key);
+
+    if (!raw)
+      return null;
+
+    return Request.decode(raw, id);
+  }
+
+  /**
+   * Get all Requests.
+   * @param {Number?} status - only return
+   * Requests with a status when defined
+   */
+
+  async getRequests(status = null) {
+    const items = await this.db.range({
+      gte: layout.i.min(),
+      lte: layout.i.max(),
+      values: true
+    });
+
+    const requests = [];
+
+    for (const {key, value} of items) {
+      const id = layout.i.decode(key)[0];
+      const request = Request.decode(value, id);
+
+      if (status != null && request.status !== status)
+        continue;
+
+      requests.push(request);
+    }
+
+    return requests;
+  }
+
+  async hasRequest(id) {
+    const key = layout.i.encode(id);
+    return (await this.read(key)) != null;
+  }
+
+  /**
+   * Add a Request to the database.
+   * Indexes the Request along with creating
+   * an OutpointRecord, ScriptRecord and/or
+   * TXRecord.
+   */
+
+  async addRequest(request) {
+    // make sure these writes are atomic
+
+    if (!this.batch)
+      this.start();
+
+    const r = await this.putRequest(request);
+
+    await this.addTransition(r, this.height);
+
+    const [orecord, srecord, trecord] = await this.watchRequest(r);
+
+    await this.commit();
+
+    return [r, orecord, srecord, trecord];
+  }
+
+  /**
+   * Add the id of a Request to its
+   * OutpointRecord, ScriptRecord and
+   * TXRecord, creating them when needed.
+   * @param {Request} request
+   * @returns {Promise<Array>} - the records
+   */
+
+  async watchRequest(request) {
+    let orecord = null;
+    let srecord = null;
+    let trecord = null;
+
+    // index the outpoint when it contains data
+    if (!request.spends.isNull()) {
+      orecord = OutpointRecord.fromOptions({
+        prevout: {
+          hash: request.spends.hash,
+          index: request.spends.index
+        },
+        requests: [request.id]
+      });
+
+      this.logger.debug('Index orecord: %s/%s',
+        util.revHex(request.spends.hash), request.spends.index);
+
+      orecord = await this.putOutpointRecord(orecord, request);
+    }
+
+    // index the script when it contains data
+    if (!request.pays.raw.equals(Buffer.alloc(0))) {
+      srecord = ScriptRecord.fromOptions({
+        script: request.pays.raw,
+        requests: [request.id]
+      });
+
+      this.logger.debug('Index srecord: %s',
+        request.pays.raw.toString('hex'));
+
+      srecord = await this.putScriptRecord(srecord, request);
+    }
+
+    // index the txid when it is set
+    if (request.hasConfirms()) {
+      trecord = TXRecord.fromOptions({
+        txid: request.confirms,
+        requests: [request.id]
+      });
+
+      this.logger.debug('Index trecord: %s',
+        util.revHex(request.confirms));
+
+      trecord = await this.putTXRecord(trecord, request);
+    }
+
+    if (!request.pattern.isNull())
+      await this.putPattern(request);
+
+    if (request.hasDescriptor())
+      await this.watchDescriptor(request, 0);
+
+    return [orecord, srecord, trecord];
+  }
+
+  /**
+   * Index the pattern of a Request
+   * and start matching it.
+   * @param {Request} request
+   */
+
+  async putPattern(request) {
+    const key = layout.p.encode(request.id);
+
+    if (this.batch)
+      this.put(key, request.pattern.encode());
+    else
+      await this.db.put(key, request.pattern.encode());
+
+    this.patterns.add(request.id, request.pattern);
+  }
+
+  async deletePattern(id) {
+    const key = layout.p.encode(id);
+
+    if (this.batch)
+      this.del(key);
+    else
+      await this.db.del(key);
+
+    this.patterns.remove(id);
+  }
+
+  /**
+   * Derive the scripts of a Request from an
+   * index up to the end of its window and
+   * watch them. Each script is indexed in a
+   * ScriptRecord along with its derivation
+   * index.
+   * @param {Request} request
+   * @param {Number} start
+   * @returns {Promise}
+   */
+
+  async watchDescriptor(request, start) {
+    const end = request.getWindow();
+
+    for (let i = start; i < end; i++) {
+      const script = request.descriptor.derive(i).toRaw();
+
+      const srecord = ScriptRecord.fromOptions({
+        script: script,
+        requests: [request.id]
+      });
+
+      await this.putScriptRecord(srecord, request);
+
+      const key = layout.x.encode(request.id, sha256.digest(script));
+      const value = encodeIndex(i);
+
+      if (this.batch)
+        this.put(key, value);
+      else
+        await this.db.put(key, value);
+
+      this.watch(script);
+    }
+
+    this.logger.debug('Derived scripts %d to %d for request %s',
+      start, end, request.id.toString('hex'));
+  }
+
+  /**
+   * Stop watching the derived scripts
+   * of a Request. The scripts are derived
+   * again to find their records.
+   * @param {Request} request
+   * @returns {Promise}
+   */
+
+  async unwatchDescriptor(request) {
+    const id = request.id;
+    const end = request.getWindow();
+
+    for (let i = 0; i < end; i++) {
+      const script = request.descriptor.derive(i).toRaw();
+      const srecord = await this.getScriptRecord(script);
+
+      if (srecord && srecord.remove(id)) {
+        if (srecord.requests.length === 0) {
+          await this.deleteScriptRecord(srecord);
+          this.unwatch(script);
+        } else {
+          await this.writeScriptRecord(srecord);
+        }
+      }
+
+      const key = layout.x.encode(id, sha256.digest(script));
+
+      if (this.batch)
+        this.del(key);
+      else
+        await this.db.del(key);
+    }
+  }
+
+  /**
+   * Move the window of derived scripts
+   * of a Request when a script at or past
+   * its next unused index is matched.
+   * @param {Request} request
+   * @param {Number} index - derivation index
+   * of the matching script
+   * @returns {Promise<Boolean>}
+   */
+
+  async advanceDescriptor(request, index) {
+    if (index < request.next)
+      return false;
+
+    const start = request.getWindow();
+
+    request.next = index + 1;
+
+    await this.watchDescriptor(request, start);
+    await this.writeRequest(request);
+
+    return true;
+  }
+
+  /**
+   * Get the derivation index of a
+   * script derived for a Request.
+   * @param {Buffer} id
+   * @param {Buffer} script
+   * @returns {Promise<Number>} - -1 when
+   * the script is not derived
+   */
+
+  async getDerivation(id, script) {
+    const key = layout.x.encode(id, sha256.digest(script));
+    const raw = await this.read(key);
+
+    if (!raw)
+      return -1;
+
+    return raw.readUInt32LE(0);
+  }
+
+  /**
+   * Index Request
+   * Must pass along request id
+   */
+
+  async putRequest(request) {
+    const id = request.id;
     assert(Buffer.isBuffer(id));
     assert(id.length === 32, 'Bad ID length');
 
-    const key = layout.i.encode(id);
+    request.timestamp = util.now();
+
+    await this.writeRequest(request);
+    await this.putExpiry(request);
+
+    return request;
+  }
+
+  /**
+   * Overwrite a Request in the database
+   * without updating its timestamp.
+   * @param {Request} request
+   */
+
+  async writeRequest(request) {
+    const key = layout.i.encode(request.id);
+
+    if (this.batch)
+      this.put(key, request.encode());
+    else
+      await this.db.put(key, request.encode());
+
+    return request;
+  }
+
+  /**
+   * Update the status of a Request and
+   * record the transition.
+   * @param {Request} request
+   * @param {Number} status
+   * @param {Number} height
+   */
+
+  async setStatus(request, status, height) {
+    request.status = status;
+
+    await this.writeRequest(request);
+    await this.addTransition(request, height);
+
+    return request;
+  }
+
+  /**
+   * Record the current status of a Request
+   * in its StatusRecord.
+   * @param {Request} request
+   * @param {Number} height
+   */
+
+  async addTransition(request, height) {
+    let record = await this.getStatusRecord(request.id);
+
+    if (!record)
+      record = StatusRecord.fromOptions({id: request.id});
+
+    record.add(request.status, height, util.now());
+
+    const key = layout.u.encode(request.id);
+
+    if (this.batch)
+      this.put(key, record.encode());
+    else
+      await this.db.put(key, record.encode());
+
+    return record;
+  }
+
+  async getStatusRecord(id) {
+    const key = layout.u.encode(id);
+    const raw = await this.read(key);
+
+    if (!raw)
+      return null;
+
+    return StatusRecord.decode(raw, id);
+  }
+
+  async deleteStatusRecord(id) {
+    const key = layout.u.encode(id);
+
+    if (this.batch)
+      this.del(key);
+    else
+      await this.db.del(key);
+  }
+
+  /**
+   * Stop watching a Request and move it to
+   * a status that is not active. Records that
+   * are no longer watched are passed to unwatch.
+   * @param {Request} request
+   * @param {Number} status
+   * @param {Number} height
+   * @returns {Promise<Array>} - the records
+   * after the removal
+   */
+
+  async deactivateRequest(request, status, height) {
+    assert(status !== Request.statuses.ACTIVE);
+
+    await this.setStatus(request, status, height);
+    await this.deleteExpiry(request);
+
+    const records = await this.unwatchRequest(request, true);
+    const [orecord, srecord, trecord] = records;
+
+    if (orecord && orecord.requests.length === 0) {
+      const outpoint = Outpoint.fromOptions(orecord.prevout);
+      this.unwatch(outpoint.toRaw());
+    }
+
+    if (srecord && srecord.requests.length === 0)
+      this.unwatch(srecord.script);
+
+    if (trecord && trecord.requests.length === 0)
+      this.unwatch(trecord.txid);
+
+    return records;
+  }
+
+  /**
+   * Cancel an active Request.
+   * @param {Buffer} id
+   * @returns {Promise<Request|null>}
+   */
+
+  async cancelRequest(id) {
+    const request = await this.getRequest(id);
+
+    if (!request || !request.isActive())
+      return null;
+
+    if (!this.batch)
+      this.start();
+
+    const {CANCELLED} = Request.statuses;
+    await this.deactivateRequest(request, CANCELLED, this.height);
+
+    await this.commit();
+
+    return request;
+  }
+
+  /**
+   * Index the expiry height and time of
+   * a Request when they are set.
+   * @param {Request} request
+   */
+
+  async putExpiry(request) {
+    const keys = getExpiryKeys(request);
+
+    for (const key of keys) {
+      if (this.batch)
+        this.put(key, null);
+      else
+        await this.db.put(key, null);
+    }
+  }
+
+  async deleteExpiry(request) {
+    const keys = getExpiryKeys(request);
+
+    for (const key of keys) {
+      if (this.batch)
+        this.del(key);
+      else
+        await this.db.del(key);
+    }
+  }
+
+  /**
+   * Get the ids of the Requests indexed
+   * to expire at or before a block.
+   * @param {Number} height
+   * @param {Number} time - unix time
+   * @returns {Promise<Buffer[]>}
+   */
+
+  async getExpiring(height, time) {
+    const heights = await this.db.keys({
+      gte: layout.e.min(),
+      lte: layout.e.max(height),
+      parse: key => layout.e.decode(key)[1]
+    });
+
+    const times = await this.db.keys({
+      gte: layout.E.min(),
+      lte: layout.E.max(time),
+      parse: key => layout.E.decode(key)[1]
+    });
+
+    const ids = new BufferMap();
+
+    for (const id of heights.concat(times))
+      ids.set(id, id);
+
+    return Array.from(ids.values());
+  }
+
+  /**
+   * Stop watching the Requests that expire
+   * with a block. The Requests are kept so
+   * that they can be queried, while their
+   * ids are removed from their records.
+   * @param {Object} meta
+   * @param {Block} block
+   * @returns {Promise<Buffer[]>} - expired ids
+   */
+
+  async expireRequests(meta, block) {
+    const ids = await this.getExpiring(meta.height, block.time);
+    const expired = [];
+
+    for (const id of ids) {
+      const request = await this.getRequest(id);
+
+      if (!request)
+        continue;
+
+      // the expiry may have been changed
+      // since the key was written
+      if (!request.isActive() || !request.isExpired(meta.height, block.time))
+        continue;
+
+      const {EXPIRED} = Request.statuses;
+      await this.deactivateRequest(request, EXPIRED, meta.height);
+
+      // the height is indexed to restore
+      // the Request on a disconnect
+      const key = layout.d.encode(meta.height, id);
+
+      if (this.batch)
+        this.put(key, null);
+      else
+        await this.db.put(key, null);
+
+      expired.push(id);
+    }
+
+    if (expired.length > 0) {
+      this.emit('requests expired', {
+        height: meta.height,
+        hash: util.revHex(meta.hash),
+        expired: expired.map(id => id.toString('hex'))
+      });
+    }
+
+    return expired;
+  }
+
+  /**
+   * Delete Request
+   */
+
+  async deleteRequest(id) {
+    assert(Buffer.isBuffer(id));
+    assert(id.length === 32, 'Bad ID length');
+
+    const key = layout.i.encode(id);
+
+    if (this.batch)
+      this.del(key);
+    else
+      this.db.del(key);
+  }
+
+  /**
+   * Remove a Request and everything indexed
+   * for it. The id is removed from its
+   * OutpointRecord and ScriptRecord and the
+   * records are deleted once no Request
+   * watches them. Its satisfactions and
+   * pending confirmations are deleted as well.
+   * @param {Buffer} id
+   * @returns {Promise<Array|null>} - the Request
+   * and its records after the removal
+   */
+
+  async removeRequest(id) {
+    const request = await this.getRequest(id);
+
+    if (!request)
+      return null;
+
+    // make sure these writes are atomic
+    if (!this.batch)
+      this.start();
+
+    await this.deleteRequest(id);
+
+    const satisfactions = await this.getSatisfactions(id);
+
+    for (const satisfaction of satisfactions) {
+      await this.deleteSatisfaction(satisfaction);
+
+      if (request.confirmations > 1) {
+        const height = satisfaction.height + request.confirmations - 1;
+        await this.deletePendingConfirmation(satisfaction, height);
+      }
+
+      if (request.status === Request.statuses.SATISFIED) {
+        const key = layout.a.encode(satisfaction.height, id);
+
+        if (this.batch)
+          this.del(key);
+        else
+          await this.db.del(key);
+      }
+    }
+
+    // the height that it expired at is
+    // the height of its last transition
+    if (request.status === Request.statuses.EXPIRED) {
+      const record = await this.getStatusRecord(id);
+      const last = record.transitions[record.transitions.length - 1];
+      const key = layout.d.encode(last.height, id);
+
+      if (this.batch)
+        this.del(key);
+      else
+        await this.db.del(key);
+    }
+
+    await this.deleteStatusRecord(id);
+    await this.deleteExpiry(request);
+
+    const [orecord, srecord, trecord] = await this.unwatchRequest(request);
+
+    await this.commit();
+
+    return [request, orecord, srecord, trecord];
+  }
+
+  /**
+   * Remove the id of a Request from its
+   * OutpointRecord, ScriptRecord and TXRecord.
+   * Records are deleted once no Request
+   * watches them.
+   * @param {Request} request
+   * @param {Boolean?} keep - keep a spent
+   * OutpointRecord so that its spend can
+   * still be queried
+   * @returns {Promise<Array>} - the records
+   * after the removal
+   */
+
+  async unwatchRequest(request, keep = false) {
+    const id = request.id;
+
+    let orecord = null;
+    let srecord = null;
+    let trecord = null;
+
+    if (!request.spends.isNull()) {
+      const {hash, index} = request.spends;
+      orecord = await this.getOutpointRecord(hash, index);
+
+      if (orecord) {
+        const removed = orecord.remove(id);
+
+        // a spent record may outlive the
+        // Requests that watched it
+        if (orecord.requests.length === 0 && !(keep && orecord.isSpent()))
+          await this.deleteOutpointRecord(orecord);
+        else if (removed)
+          await this.writeOutpointRecord(orecord);
+      }
+    }
+
+    if (request.pays.raw.length > 0) {
+      srecord = await this.getScriptRecord(request.pays.raw);
+
+      if (srecord && srecord.remove(id)) {
+        if (srecord.requests.length === 0)
+          await this.deleteScriptRecord(srecord);
+        else
+          await this.writeScriptRecord(srecord);
+      }
+    }
+
+    if (request.hasConfirms()) {
+      trecord = await this.getTXRecord(request.confirms);
+
+      if (trecord && trecord.remove(id)) {
+        if (trecord.requests.length === 0)
+          await this.deleteTXRecord(trecord);
+        else
+          await this.writeTXRecord(trecord);
+      }
+    }
+
+    if (!request.pattern.isNull())
+      await this.deletePattern(id);
+
+    if (request.hasDescriptor())
+      await this.unwatchDescriptor(request);
+
+    return [orecord, srecord, trecord];
+  }
+
+  /**
+   * Create an iterator over the Requests
+   * in id order.
+   * @param {Object?} options
+   * @param {Buffer?} options.after - id to start after
+   * @param {Boolean?} options.reverse
+   */
+
+  requestIterator(options = {}) {
+    const after = options.after ? [options.after] : null;
+    return this.db.iterator(rangeOptions(layout.i, after, options.reverse));
+  }
+
+  /**
+   * Get a page of Requests in id order.
+   * @param {Object?} options
+   * @param {Buffer?} options.after - id to start after
+   * @param {Number?} options.limit
+   * @param {Boolean?} options.reverse
+   * @param {Number?} options.status - only
+   * return Requests with a status
+   * @param {Number?} options.start - only return Requests
+   * with a timestamp at or after this unix time
+   * @param {Number?} options.end - only return Requests
+   * with a timestamp at or before this unix time
+   * @returns {Promise<Request[]>}
+   */
+
+  async getRequestPage(options = {}) {
+    const {status, start, end} = options;
+    const iter = this.requestIterator(options);
+
+    return collect(iter, options.limit, (key, value) => {
+      const [id] = layout.i.decode(key);
+      const request = Request.decode(value, id);
+
+      if (status != null && request.status !== status)
+        return null;
+
+      if (start != null && request.timestamp < start)
+        return null;
+
+      if (end != null && request.timestamp > end)
+        return null;
+
+      return request;
+    });
+  }
+
+  async getLatestRequest() {
+    return this.db.range({
+      limit: 1,
+      reverse: true,
+      gte: layout.i.min(),
+      lte: layout.i.max(),
+      parse: (key, value) => {
+        const [id] = layout.i.decode(key);
+        return Request.decode(value, id);
+      }
+    });
+  }
+
+  async getLatestRequestUnderID(maxID) {
+    return this.db.range({
+      limit: 1,
+      reverse: true,
+      gte: layout.i.min(),
+      lte: layout.i.encode(maxID),
+      parse: (key, value) => {
+        const [id] = layout.i.decode(key);
+        return Request.decode(value, id);
+      }
+    });
+  }
+
+  /**
+   * Get all ScriptRecords
+   * TODO: get both keys and values,
+   * pass hash as second arg to decode
+   */
+
+  async getScriptRecords() {
+    return this.db.values({
+      gte: layout.s.min(),
+      lte: layout.s.max(),
+      parse: data => ScriptRecord.decode(data)
+    });
+  }
+
+  /**
+   * Get ScriptRecord by raw script
+   */
+
+  async getScriptRecord(script) {
+    if (typeof script === 'string') {
+      if (script.startsWith('0x'))
+        script = script.slice(2);
+
+      script = Buffer.from(script, 'hex');
+    }
+
+    const hash = sha256.digest(script);
+    const key = layout.s.encode(hash);
+
+    const raw = await this.read(key);
+
+    if (!raw)
+      return null;
+
+    return ScriptRecord.decode(raw, hash);
+  }
+
+  /**
+   * Create an iterator over all
+   * ScriptRecords in the database.
+   * @param {Object?} options
+   * @param {Buffer?} options.after - script
+   * hash to start after
+   * @param {Boolean?} options.reverse
+   */
+
+  scriptRecordIterator(options = {}) {
+    const after = options.after ? [options.after] : null;
+    return this.db.iterator(rangeOptions(layout.s, after, options.reverse));
+  }
+
+  /**
+   * Get a page of ScriptRecords in
+   * the order of their script hashes.
+   * @param {Object?} options
+   * @param {Buffer?} options.after - script
+   * hash to start after
+   * @param {Number?} options.limit
+   * @param {Boolean?} options.reverse
+   * @returns {Promise<ScriptRecord[]>}
+   */
+
+  async getScriptRecordPage(options = {}) {
+    const iter = this.scriptRecordIterator(options);
+
+    return collect(iter, options.limit, (key, value) => {
+      const [hash] = layout.s.decode(key);
+      return ScriptRecord.decode(value, hash);
+    });
+  }
+
+  /**
+   * Put ScriptRecord in database.
+   * @param {ScriptRecord} record
+   */
+
+  async putScriptRecord(srecord, request) {
+    assert(srecord instanceof ScriptRecord);
+
+    if (await this.hasScriptRecord(srecord)) {
+      assert(request instanceof Request);
+      assert(Buffer.isBuffer(request.id));
+
+      const r = await this.getScriptRecord(srecord.script);
+      r.add(request.id);
+      srecord = r;
+    }
+
+    const hash = sha256.digest(srecord.script);
+    const key = layout.s.encode(hash);
+
+    if (this.batch)
+      this.put(key, srecord.encode());
+    else
+      await this.db.put(key, srecord.encode());
+
+    return srecord;
+  }
+
+  /**
+   * Overwrite a ScriptRecord in the database
+   * without merging its request ids.
+   * @param {ScriptRecord} srecord
+   */
+
+  async writeScriptRecord(srecord) {
+    assert(srecord instanceof ScriptRecord);
+
+    const key = layout.s.encode(srecord.hash);
+
+    if (this.batch)
+      this.put(key, srecord.encode());
+    else
+      await this.db.put(key, srecord.encode());
+
+    return srecord;
+  }
+
+  async hasScriptRecord(record) {
+    const hash = sha256.digest(record.script);
+    const key = layout.s.encode(hash);
+    return (await this.read(key)) != null;
+  }
+
+  async deleteScriptRecord(record) {
+    const hash = sha256.digest(record.script);
+    const key = layout.s.encode(hash);
+
+    if (this.batch)
+      this.del(key);
+    else
+      await this.db.del(key);
+  }
+
+  /**
+   * Get all OutpointRecords.
+   * @param {Boolean?} spent - only return spent
+   * or unspent records when defined
+   */
+
+  async getOutpointRecords(spent = null) {
+    const items = await this.db.range({
+      gte: layout.o.min(),
+      lte: layout.o.max(),
+      values: true
+    });
+
+    const scripts = [];
+    for (const item of items) {
+      const [hash, index] = layout.o.decode(item.key);
+
+      const record = OutpointRecord.decode(item.value, {
+        hash: hash,
+        index: index
+      });
+
+      if (spent != null && record.isSpent() !== spent)
+        continue;
+
+      scripts.push(record);
+    }
+
+    return scripts;
+  }
+
+  /**
+   * Get OutpointRecord
+   */
+
+  async getOutpointRecord(hash, index) {
+    const key = layout.o.encode(hash, index);
+
+    const raw = await this.read(key);
+
+    if (!raw)
+      return null;
+
+    return OutpointRecord.decode(raw, {
+      hash: hash,
+      index: index
+    });
+  }
+
+  /**
+   * Create an iterator for all outpoint records.
+   * @param {Object?} options
+   * @param {Outpoint?} options.after - outpoint
+   * to start after
+   * @param {Boolean?} options.reverse
+   */
+
+  outpointRecordIterator(options = {}) {
+    const {after} = options;
+    const start = after ? [after.hash, after.index] : null;
+    return this.db.iterator(rangeOptions(layout.o, start, options.reverse));
+  }
+
+  /**
+   * Get a page of OutpointRecords
+   * in outpoint order.
+   * @param {Object?} options
+   * @param {Outpoint?} options.after - outpoint
+   * to start after
+   * @param {Number?} options.limit
+   * @param {Boolean?} options.reverse
+   * @param {Boolean?} options.spent - only return
+   * spent or unspent records when defined
+   * @returns {Promise<OutpointRecord[]>}
+   */
+
+  async getOutpointRecordPage(options = {}) {
+    const {spent} = options;
+    const iter = this.outpointRecordIterator(options);
+
+    return collect(iter, options.limit, (key, value) => {
+      const [hash, index] = layout.o.decode(key);
+
+      const record = OutpointRecord.decode(value, {
+        hash: hash,
+        index: index
+      });
+
+      if (spent != null && record.isSpent() !== spent)
+        return null;
+
+      return record;
+    });
+  }
+
+  /**
+   * Put outpoint record in database.
+   * If the record already exists, add
+   * the request id to it.
+   *
+   * TODO: refactor so that it accepts an
+   * outpoint instead of an orecord
+   */
+
+  async putOutpointRecord(orecord, request) {
+    assert(orecord instanceof OutpointRecord);
+
+    if (await this.hasOutpointRecord(orecord)) {
+      assert(request instanceof Request);
+      assert(Buffer.isBuffer(request.id));
+
+      const r = await this.getOutpointRecord(
+        orecord.prevout.hash,
+        orecord.prevout.index
+      );
+      r.add(request.id);
+      orecord = r;
+    }
+
+    const {hash, index} = orecord.prevout;
+    const key = layout.o.encode(hash, index);
+
+    if (this.batch)
+      this.put(key, orecord.encode());
+    else
+      await this.db.put(key, orecord.encode());
+
+    return orecord;
+  }
+
+  /**
+   * Overwrite an OutpointRecord in the database
+   * without merging its request ids.
+   * @param {OutpointRecord} orecord
+   */
+
+  async writeOutpointRecord(orecord) {
+    assert(orecord instanceof OutpointRecord);
+
+    const {hash, index} = orecord.prevout;
+    const key = layout.o.encode(hash, index);
+
+    if (this.batch)
+      this.put(key, orecord.encode());
+    else
+      await this.db.put(key, orecord.encode());
+
+    return orecord;
+  }
+
+  async hasOutpointRecord(record) {
+    const {hash, index} = record.prevout;
+    const key = layout.o.encode(hash, index);
+    return (await this.read(key)) != null;
+  }
+
+  async deleteOutpointRecord(record) {
+    const {hash, index} = record.prevout;
+    const key = layout.o.encode(hash, index);
+
+    if (this.batch)
+      this.del(key);
+    else
+      this.db.del(key);
+  }
+
+  /**
+   * Get the TXRecord of a txid.
+   * @param {Buffer} txid - little endian
+   * @returns {Promise<TXRecord|null>}
+   */
+
+  async getTXRecord(txid) {
+    const key = layout.t.encode(txid);
+    const raw = await this.read(key);
+
+    if (!raw)
+      return null;
+
+    return TXRecord.decode(raw, txid);
+  }
+
+  /**
+   * Create an iterator over all
+   * TXRecords in the database.
+   */
+
+  txRecordIterator() {
+    return this.db.iterator({
+      gte: layout.t.min(),
+      lte: layout.t.max(),
+      values: true
+    });
+  }
+
+  /**
+   * Put TXRecord in database. If the
+   * record already exists, add the
+   * request id to it.
+   * @param {TXRecord} trecord
+   * @param {Request} request
+   */
+
+  async putTXRecord(trecord, request) {
+    assert(trecord instanceof TXRecord);
+
+    const r = await this.getTXRecord(trecord.txid);
+
+    if (r) {
+      assert(request instanceof Request);
+      r.add(request.id);
+      trecord = r;
+    }
+
+    return this.writeTXRecord(trecord);
+  }
+
+  async writeTXRecord(trecord) {
+    assert(trecord instanceof TXRecord);
+
+    const key = layout.t.encode(trecord.txid);
+
+    if (this.batch)
+      this.put(key, trecord.encode());
+    else
+      await this.db.put(key, trecord.encode());
+
+    return trecord;
+  }
+
+  async deleteTXRecord(trecord) {
+    const key = layout.t.encode(trecord.txid);
+
+    if (this.batch)
+      this.del(key);
+    else
+      await this.db.del(key);
+  }
+
+  /**
+   * Get a rescan job by id.
+   * @param {Number} id
+   * @returns {Promise<JobRecord|null>}
+   */
+
+  async getJob(id) {
+    const key = layout.j.encode(id);
+    const raw = await this.read(key);
 
-    if (this.batch)
-      this.del(key);
-    else
-      this.db.del(key);
+    if (!raw)
+      return null;
+
+    return JobRecord.decode(raw, id);
   }
 
-  requestIterator() {
-    return this.db.iterator({
-      gte: layout.i.min(),
-      lte: layout.i.max(),
+  /**
+   * Get all rescan jobs.
+   * @returns {Promise<JobRecord[]>}
+   */
+
+  async getJobs() {
+    const items = await this.db.range({
+      gte: layout.j.min(),
+      lte: layout.j.max(),
       values: true
     });
-  }
 
-  async getLatestRequest() {
-    return this.db.range({
-      limit: 1,
-      reverse: true,
-      gte: layout.i.min(),
-      lte: layout.i.max(),
-      parse: (key, value) => {
-        const [id] = layout.i.decode(key);
-        return Request.decode(value, id);
-      }
+    return items.map(({key, value}) => {
+      const [id] = layout.j.decode(key);
+      return JobRecord.decode(value, id);
     });
   }
 
-  async getLatestRequestUnderID(maxID) {
-    return this.db.range({
-      limit: 1,
-      reverse: true,
-      gte: layout.i.min(),
-      lte: layout.i.encode(maxID),
-      parse: (key, value) => {
-        const [id] = layout.i.decode(key);
-        return Request.decode(value, id);
-      }
-    });
-  }
+  async putJob(job) {
+    assert(job instanceof JobRecord);
 
-  /**
-   * Get all ScriptRecords
-   * TODO: get both keys and values,
-   * pass hash as second arg to decode
-   */
+    const key = layout.j.encode(job.id);
 
-  async getScriptRecords() {
-    return this.db.values({
-      gte: layout.s.min(),
-      lte: layout.s.max(),
-      parse: data => ScriptRecord.decode(data)
-    });
+    if (this.batch)
+      this.put(key, job.encode());
+    else
+      await this.db.put(key, job.encode());
+
+    return job;
   }
 
   /**
-   * Get ScriptRecord by raw script
+   * Append an event to the event log. The
+   * sequence is assigned before the write so
+   * that events are logged in emitted order.
+   * The record is emitted as 'event' once it
+   * is written, an event logged in a batch
+   * waits for the batch to be committed.
+   * @param {String} type
+   * @param {Object} data
+   * @returns {Promise<EventRecord>}
    */
 
-  async getScriptRecord(script) {
-    if (typeof script === 'string') {
-      if (script.startsWith('0x'))
-        script = script.slice(2);
+  async logEvent(type, data) {
+    const record = EventRecord.fromOptions({
+      seq: ++this.seq,
+      type: type,
+      data: data,
+      time: Math.floor(Date.now() / 1000)
+    });
 
-      script = Buffer.from(script, 'hex');
-    }
+    const key = layout.l.encode(record.seq);
 
-    const hash = sha256.digest(script);
-    const key = layout.s.encode(hash);
+    if (this.batch) {
+      this.put(key, record.encode());
+      this.logged.push(record);
+      return record;
+    }
 
-    const raw = await this.db.get(key);
+    await this.db.put(key, record.encode());
 
-    if (!raw)
-      return null;
+    this.emit('event', record);
 
-    return ScriptRecord.decode(raw, hash);
+    return record;
   }
 
   /**
-   * Create an iterator over all
-   * ScriptRecords in the database.
+   * Get the logged events after a sequence.
+   * @param {Number} since
+   * @param {Number} limit
+   * @returns {Promise<EventRecord[]>}
    */
 
-  scriptRecordIterator() {
-    return this.db.iterator({
-      gte: layout.s.min(),
-      lte: layout.s.max(),
+  async getEvents(since, limit) {
+    if (since >= this.seq)
+      return [];
+
+    const items = await this.db.range({
+      gte: layout.l.encode(since + 1),
+      lte: layout.l.max(),
+      limit: limit,
       values: true
     });
+
+    return items.map(({key, value}) => {
+      const [seq] = layout.l.decode(key);
+      return EventRecord.decode(value, seq);
+    });
   }
 
   /**
-   * Put ScriptRecord in database.
-   * @param {ScriptRecord} record
+   * Get the queued webhook deliveries.
+   * @returns {Promise<WebhookRecord[]>}
    */
 
-  async putScriptRecord(srecord, request) {
-    assert(srecord instanceof ScriptRecord);
+  async getWebhooks() {
+    const items = await this.db.range({
+      gte: layout.w.min(),
+      lte: layout.w.max(),
+      values: true
+    });
 
-    if (await this.hasScriptRecord(srecord)) {
-      assert(request instanceof Request);
-      assert(Buffer.isBuffer(request.id));
+    return items.map(({key, value}) => {
+      const [id] = layout.w.decode(key);
+      return WebhookRecord.decode(value, id);
+    });
+  }
 
-      const r = await this.getScriptRecord(srecord.script);
-      r.add(request.id);
-      srecord = r;
-    }
+  async putWebhook(record) {
+    assert(record instanceof WebhookRecord);
 
-    const hash = sha256.digest(srecord.script);
-    const key = layout.s.encode(hash);
+    const key = layout.w.encode(record.id);
 
     if (this.batch)
-      this.put(key, srecord.encode());
+      this.put(key, record.encode());
     else
-      await this.db.put(key, srecord.encode());
-
-    return srecord;
-  }
+      await this.db.put(key, record.encode());
 
-  async hasScriptRecord(record) {
-    const hash = sha256.digest(record.script);
-    const key = layout.s.encode(hash);
-    return this.db.has(key);
+    return record;
   }
 
-  async deleteScriptRecord(record) {
-    const hash = sha256.digest(record.script);
-    const key = layout.s.encode(hash);
+  async deleteWebhook(id) {
+    const key = layout.w.encode(id);
 
     if (this.batch)
       this.del(key);
@@ -379,111 +2187,166 @@ class RelayIndexer extends Indexer {
       await this.db.del(key);
   }
 
-  async getOutpointRecords() {
-    const items = await this.db.range({
-      gte: layout.o.min(),
-      lte: layout.o.max(),
-      values: true
+  /**
+   * Get the latest SatisfactionRecord
+   * of a Request, by height and then by
+   * the index of the tx in its block.
+   * @param {Buffer} id
+   * @returns {Promise<SatisfactionRecord|null>}
+   */
+
+  async getSatisfaction(id) {
+    const heights = await this.db.keys({
+      gte: layout.f.min(id),
+      lte: layout.f.max(id),
+      reverse: true,
+      limit: 1,
+      parse: key => layout.f.decode(key)[1]
     });
 
-    const scripts = [];
-    for (const item of items) {
-      const [hash, index] = layout.o.decode(item.key);
+    if (heights.length === 0)
+      return null;
 
-      const record = OutpointRecord.decode(item.value, {
-        hash: hash,
-        index: index
-      });
+    const records = await this.getSatisfactions(id, heights[0]);
 
-      scripts.push(record);
+    let latest = null;
+
+    for (const record of records) {
+      if (!latest || record.index > latest.index)
+        latest = record;
     }
 
-    return scripts;
+    return latest;
   }
 
   /**
-   * Get OutpointRecord
+   * Get the SatisfactionRecords of a
+   * Request in height order.
+   * @param {Buffer} id
+   * @param {Number?} height - only return
+   * the satisfactions at a height
+   * @returns {Promise<SatisfactionRecord[]>}
    */
 
-  async getOutpointRecord(hash, index) {
-    const key = layout.o.encode(hash, index);
-
-    const raw = await this.db.get(key);
+  async getSatisfactions(id, height = null) {
+    const gte = height == null
+      ? layout.f.min(id)
+      : layout.f.min(id, height);
 
-    if (!raw)
-      return null;
+    const lte = height == null
+      ? layout.f.max(id)
+      : layout.f.max(id, height);
 
-    return OutpointRecord.decode(raw, {
-      hash: hash,
-      index: index
+    return this.db.values({
+      gte: gte,
+      lte: lte,
+      parse: data => SatisfactionRecord.decode(data, id)
     });
   }
 
   /**
-   * Create an iterator for all outpoint records.
+   * Get the SatisfactionRecord of a
+   * Request by a tx at a height.
+   * @param {Buffer} id
+   * @param {Number} height
+   * @param {Buffer} txid - little endian
+   * @returns {Promise<SatisfactionRecord|null>}
    */
 
-  outpointRecordIterator() {
-    return this.db.iterator({
-      gte: layout.o.min(),
-      lte: layout.o.max(),
-      values: true
-    });
+  async getTXSatisfaction(id, height, txid) {
+    const key = layout.f.encode(id, height, txid);
+    const raw = await this.read(key);
+
+    if (!raw)
+      return null;
+
+    return SatisfactionRecord.decode(raw, id);
   }
 
   /**
-   * Put outpoint record in database.
-   * If the record already exists, add
-   * the request id to it.
-   *
-   * TODO: refactor so that it accepts an
-   * outpoint instead of an orecord
+   * Put SatisfactionRecord in database.
+   * A Request keeps a satisfaction for
+   * each tx that satisfied it.
+   * @param {SatisfactionRecord} record
    */
 
-  async putOutpointRecord(orecord, request) {
-    assert(orecord instanceof OutpointRecord);
+  async putSatisfaction(record) {
+    assert(record instanceof SatisfactionRecord);
 
-    if (await this.hasOutpointRecord(orecord)) {
-      assert(request instanceof Request);
-      assert(Buffer.isBuffer(request.id));
+    const key = layout.f.encode(record.id, record.height, record.txid);
 
-      const r = await this.getOutpointRecord(
-        orecord.prevout.hash,
-        orecord.prevout.index
-      );
-      r.add(request.id);
-      orecord = r;
-    }
+    if (this.batch)
+      this.put(key, record.encode());
+    else
+      await this.db.put(key, record.encode());
 
-    const {hash, index} = orecord.prevout;
-    const key = layout.o.encode(hash, index);
+    return record;
+  }
+
+  async deleteSatisfaction(record) {
+    assert(record instanceof SatisfactionRecord);
+
+    const key = layout.f.encode(record.id, record.height, record.txid);
 
     if (this.batch)
-      this.put(key, orecord.encode());
+      this.del(key);
     else
-      await this.db.put(key, orecord.encode());
+      await this.db.del(key);
+  }
 
-    return orecord;
+  /**
+   * Track a satisfaction until the block at
+   * which it reaches the confirmation depth.
+   * @param {SatisfactionRecord} record
+   * @param {Number} confirmations
+   */
+
+  async putPendingConfirmation(record, confirmations) {
+    assert(record instanceof SatisfactionRecord);
+    assert((confirmations >>> 0) === confirmations);
+
+    const height = record.height + confirmations - 1;
+    const key = layout.c.encode(height, record.id);
+
+    if (this.batch)
+      this.put(key, record.encode());
+    else
+      await this.db.put(key, record.encode());
   }
 
-  async hasOutpointRecord(record) {
-    const {hash, index} = record.prevout;
-    const key = layout.o.encode(hash, index);
-    return this.db.has(key);
+  /**
+   * Get the satisfactions that reach their
+   * confirmation depth at or below a height,
+   * paired with the height they are keyed by.
+   * @param {Number} height
+   * @returns {Promise<Array[]>}
+   */
+
+  async getPendingConfirmations(height) {
+    return this.db.range({
+      gte: layout.c.min(),
+      lte: layout.c.max(height),
+      parse: (key, value) => {
+        const [target, id] = layout.c.decode(key);
+        return [target, SatisfactionRecord.decode(value, id)];
+      }
+    });
   }
 
-  async deleteOutpointRecord(record) {
-    const {hash, index} = record.prevout;
-    const key = layout.o.encode(hash, index);
+  async deletePendingConfirmation(record, height) {
+    const key = layout.c.encode(height, record.id);
 
     if (this.batch)
       this.del(key);
     else
-      this.db.del(key);
+      await this.db.del(key);
   }
 
   /**
-   * Wipe the RelayIndexer
+   * Wipe the RelayIndexer. The event log
+   * is kept so that the sequences seen
+   * by clients stay valid, and so are the
+   * queued webhook deliveries.
    * @returns {Promise}
    */
 
@@ -500,16 +2363,175 @@ class RelayIndexer extends Indexer {
         case 0x73: // s
         case 0x6f: // o
         case 0x69: // i
+        case 0x66: // f
+        case 0x63: // c
+        case 0x65: // e
+        case 0x45: // E
+        case 0x75: // u
+        case 0x61: // a
+        case 0x64: // d
+        case 0x70: // p
+        case 0x74: // t
+        case 0x78: // x
+        case 0x6a: // j
           b.del(key);
           total += 1;
           break;
       }
     });
 
+    this.patterns.clear();
+
     this.logger.warning('Wiped %d records.', total);
 
     return b.write();
   }
 }
 
+/*
+ * Helpers
+ */
+
+/**
+ * Get the options of an iterator over
+ * a key, starting after a cursor.
+ * @param {Object} key - bdb key
+ * @param {Array?} after - args of the key
+ * to start after
+ * @param {Boolean?} reverse
+ * @returns {Object}
+ */
+
+function rangeOptions(key, after, reverse = false) {
+  const options = {
+    gte: key.min(),
+    lte: key.max(),
+    reverse: reverse,
+    values: true
+  };
+
+  if (after) {
+    if (reverse) {
+      options.lte = null;
+      options.lt = key.encode(...after);
+    } else {
+      options.gte = null;
+      options.gt = key.encode(...after);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Collect the items parsed from an iterator,
+ * skipping the entries parsed to null.
+ * @param {Iterator} iter
+ * @param {Number?} limit - max number of items
+ * @param {Function} parse
+ * @returns {Promise<Array>}
+ */
+
+async function collect(iter, limit, parse) {
+  const items = [];
+
+  if (limit === 0)
+    return items;
+
+  await iter.each((key, value) => {
+    const item = parse(key, value);
+
+    if (item != null)
+      items.push(item);
+
+    return limit == null || items.length < limit;
+  });
+
+  return items;
+}
+
+function getExpiryKeys(request) {
+  const keys = [];
+
+  if (request.expiresAtHeight !== 0)
+    keys.push(layout.e.encode(request.expiresAtHeight, request.id));
+
+  if (request.expiresAt !== 0)
+    keys.push(layout.E.encode(request.expiresAt, request.id));
+
+  return keys;
+}
+
+function getMatch(matches, id) {
+  const key = Buffer.isBuffer(id) ? id.toString('hex') : id;
+
+  let match = matches.get(key);
+
+  if (!match) {
+    match = {input: -1, output: -1, value: -1, derivation: -1};
+    matches.set(key, match);
+  }
+
+  return match;
+}
+
+/**
+ * Encode a derivation index as a uint32.
+ */
+
+function encodeIndex(index) {
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(index, 0);
+  return data;
+}
+
+/**
+ * Map the request ids satisfied by a
+ * payment to the value that was paid.
+ * @param {Map} matches
+ * @returns {Object}
+ */
+
+function getValues(matches) {
+  const values = {};
+
+  for (const [id, match] of matches) {
+    if (match.value !== -1)
+      values[id] = match.value;
+  }
+
+  return values;
+}
+
+/**
+ * Select the output that pays at least the
+ * value of the Request. When the Request sums
+ * its payments, all of the outputs count
+ * towards the value and the first is selected.
+ * @param {Request} request
+ * @param {Array[]} outputs - [index, value] pairs
+ * @returns {Object|null}
+ */
+
+function selectPayment(request, outputs) {
+  if (request.sum) {
+    let total = 0;
+
+    for (const [, value] of outputs)
+      total += value;
+
+    if (total < request.value)
+      return null;
+
+    return {output: outputs[0][0], value: total};
+  }
+
+  for (const [index, value] of outputs) {
+    if (value >= request.value)
+      return {output: index, value: value};
+  }
+
+  return null;
+}
+
 module.exports = RelayIndexer;
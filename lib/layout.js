@@ -36,6 +36,71 @@ const assert = require('bsert');
  *                    - uint64 (value)
  *                    - bytes (spends - outpoint, 0 or 1)
  *                    - bytes (pays - scriptPubKey, 0 or 1)
+ *                    - uint32 (confirmations)
+ *                    - uint8 (sum payments to pays)
+ *                    - uint32 (expiry height, 0 for none)
+ *                    - uint32 (expiry time, 0 for none)
+ *                    - uint8 (status)
+ *                    - uint8 (mode)
+ *                    - pattern
+ *                    - hash (confirms txid, 0 for none)
+ *                    - descriptor
+ *                    - uint32 (gap limit)
+ *                    - uint32 (next unused derivation index)
+ *
+ *  f[hash256][height][hash256] -> satisfaction record
+ *                    (satisfaction by request id, height and txid)
+ *                    - txid + block hash that satisfied it
+ *                    - uint32 (height)
+ *                    - uint32 (tx index in block)
+ *                    - uint32 (input index, 0xffffffff for none)
+ *                    - uint32 (output index, 0xffffffff for none)
+ *                    - int64 (value paid, -1 for none)
+ *
+ *  c[height][hash256] -> satisfaction record (pending confirmation)
+ *                    - keyed by the height at which the request
+ *                      reaches its confirmation depth
+ *
+ *  e[height][hash256] -> dummy (request id by expiry height)
+ *  E[time][hash256] -> dummy (request id by expiry time)
+ *
+ *  u[hash256] -> status record (request id by status transitions)
+ *                    - uint8 (status)
+ *                    - uint32 (height)
+ *                    - uint32 (unix time)
+ *
+ *  a[height][hash256] -> dummy (once request satisfied at height)
+ *  d[height][hash256] -> dummy (request expired at height)
+ *
+ *  p[hash256] -> pattern (request id by pattern)
+ *                    - uint8 (type)
+ *                    - bytes (prefix or key hash)
+ *
+ *  t[hash256] -> tx record (txid by list of request ids)
+ *
+ *  x[hash256][script hash] -> uint32 (derivation index of
+ *                    a script derived for a request)
+ *
+ *  j[uint32] -> job record (rescan job by id)
+ *                    - uint8 (status)
+ *                    - uint32 (start height)
+ *                    - uint32 (next height to scan)
+ *                    - uint32 (target height)
+ *                    - uint32 (number of matches)
+ *                    - uint32 (blocks skipped by their filter)
+ *                    - uint32 (unix time created)
+ *                    - hash256 (request id, 0 for all requests)
+ *
+ *  l[uint32] -> event record (event by sequence)
+ *                    - string (event type)
+ *                    - string (json event data)
+ *                    - uint32 (unix time)
+ *
+ *  w[uint32] -> webhook record (queued delivery by id)
+ *                    - string (url)
+ *                    - string (json body)
+ *                    - uint32 (failed attempts)
+ *                    - uint64 (time in ms of next attempt)
  *
  *  can use o to look up in chaindb.layout.c
  *
@@ -60,7 +125,20 @@ const assert = require('bsert');
 const relay = {
   s: bdb.key('s', ['hash256']),
   o: bdb.key('o', ['hash256', 'uint32']),
-  i: bdb.key('i', ['hash256'])
+  i: bdb.key('i', ['hash256']),
+  f: bdb.key('f', ['hash256', 'uint32', 'hash256']),
+  c: bdb.key('c', ['uint32', 'hash256']),
+  e: bdb.key('e', ['uint32', 'hash256']),
+  E: bdb.key('E', ['uint32', 'hash256']),
+  u: bdb.key('u', ['hash256']),
+  a: bdb.key('a', ['uint32', 'hash256']),
+  d: bdb.key('d', ['uint32', 'hash256']),
+  p: bdb.key('p', ['hash256']),
+  t: bdb.key('t', ['hash256']),
+  x: bdb.key('x', ['hash256', 'hash256']),
+  j: bdb.key('j', ['uint32']),
+  l: bdb.key('l', ['uint32']),
+  w: bdb.key('w', ['uint32'])
 };
 
 for (const key in Object.keys(relay))
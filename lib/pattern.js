@@ -0,0 +1,323 @@
+/*!
+ * pattern.js - script patterns for bcoin-relaylib
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const bio = require('bufio');
+const assert = require('bsert');
+const hash160 = require('bcrypto/lib/hash160');
+const {BufferMap, BufferSet} = require('buffer-map');
+
+const NULL = Buffer.alloc(0);
+
+// max size of OP_RETURN data
+// that is standard to relay
+const MAX_PREFIX = 80;
+
+/**
+ * Pattern
+ * Matches scriptPubKeys by a rule instead
+ * of byte for byte. A prefix pattern matches
+ * OP_RETURN outputs whose data starts with
+ * the prefix. A keyhash pattern matches
+ * P2PKH, P2WPKH, P2SH-P2WPKH and P2PK
+ * outputs that commit to the key hash.
+ */
+
+class Pattern extends bio.Struct {
+  constructor(options) {
+    super();
+
+    this.type = Pattern.types.NONE;
+    this.data = NULL;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    let type = options.type;
+
+    if (typeof type === 'string') {
+      type = Pattern.types[type.toUpperCase()];
+      assert(type != null, 'Unknown pattern type.');
+    }
+
+    assert(Pattern.typesByVal[type] != null, 'Unknown pattern type.');
+    assert(Buffer.isBuffer(options.data));
+
+    switch (type) {
+      case Pattern.types.NONE:
+        assert(options.data.length === 0);
+        break;
+      case Pattern.types.PREFIX:
+        assert(options.data.length > 0 && options.data.length <= MAX_PREFIX,
+          'Prefix must be 1 to 80 bytes.');
+        break;
+      case Pattern.types.KEYHASH:
+        assert(options.data.length === 20, 'Key hash must be 20 bytes.');
+        break;
+    }
+
+    this.type = type;
+    this.data = options.data;
+
+    return this;
+  }
+
+  isNull() {
+    return this.type === Pattern.types.NONE;
+  }
+
+  /**
+   * Test a scriptPubKey against the pattern.
+   * @param {Script} script
+   * @returns {Boolean}
+   */
+
+  test(script) {
+    switch (this.type) {
+      case Pattern.types.PREFIX: {
+        const data = script.getNulldata();
+
+        if (!data || data.length < this.data.length)
+          return false;
+
+        return data.slice(0, this.data.length).equals(this.data);
+      }
+
+      case Pattern.types.KEYHASH: {
+        const hash = getKeyhash(script);
+
+        if (hash)
+          return hash.equals(this.data);
+
+        const scripthash = script.getScripthash();
+
+        if (scripthash)
+          return scripthash.equals(getNestedHash(this.data));
+
+        return false;
+      }
+    }
+
+    return false;
+  }
+
+  getSize() {
+    return 1 + bio.sizeVarBytes(this.data);
+  }
+
+  read(br) {
+    this.type = br.readU8();
+    this.data = br.readVarBytes();
+
+    return this;
+  }
+
+  write(bw) {
+    bw.writeU8(this.type);
+    bw.writeVarBytes(this.data);
+
+    return bw;
+  }
+
+  getJSON() {
+    return {
+      type: Pattern.typesByVal[this.type],
+      data: this.data.toString('hex')
+    };
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/**
+ * Pattern types.
+ * @enum {Number}
+ */
+
+Pattern.types = {
+  NONE: 0,
+  PREFIX: 1,
+  KEYHASH: 2
+};
+
+/**
+ * Pattern types by value.
+ * @const {String[]}
+ */
+
+Pattern.typesByVal = [
+  'none',
+  'prefix',
+  'keyhash'
+];
+
+/**
+ * PatternSet
+ * The patterns of Requests held in memory.
+ * Keyhash patterns are looked up by the
+ * hash of the script while prefix patterns
+ * are tested one by one.
+ */
+
+class PatternSet {
+  constructor() {
+    // request id to pattern
+    this.patterns = new BufferMap();
+
+    // key hash to request ids
+    this.keyhashes = new BufferMap();
+
+    // P2SH-P2WPKH script hash to request ids
+    this.scripthashes = new BufferMap();
+  }
+
+  get size() {
+    return this.patterns.size;
+  }
+
+  add(id, pattern) {
+    assert(Buffer.isBuffer(id));
+    assert(pattern instanceof Pattern);
+
+    this.remove(id);
+
+    this.patterns.set(id, pattern);
+
+    if (pattern.type === Pattern.types.KEYHASH) {
+      addID(this.keyhashes, pattern.data, id);
+      addID(this.scripthashes, getNestedHash(pattern.data), id);
+    }
+  }
+
+  remove(id) {
+    const pattern = this.patterns.get(id);
+
+    if (!pattern)
+      return false;
+
+    this.patterns.delete(id);
+
+    if (pattern.type === Pattern.types.KEYHASH) {
+      removeID(this.keyhashes, pattern.data, id);
+      removeID(this.scripthashes, getNestedHash(pattern.data), id);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the ids of the Requests with
+   * a pattern that matches a scriptPubKey.
+   * @param {Script} script
+   * @returns {Buffer[]}
+   */
+
+  match(script) {
+    const ids = [];
+
+    const hash = getKeyhash(script);
+
+    if (hash && this.keyhashes.has(hash)) {
+      for (const id of this.keyhashes.get(hash))
+        ids.push(id);
+    }
+
+    const scripthash = script.getScripthash();
+
+    if (scripthash && this.scripthashes.has(scripthash)) {
+      for (const id of this.scripthashes.get(scripthash))
+        ids.push(id);
+    }
+
+    if (script.isNulldata()) {
+      for (const [id, pattern] of this.patterns) {
+        if (pattern.type === Pattern.types.PREFIX && pattern.test(script))
+          ids.push(id);
+      }
+    }
+
+    return ids;
+  }
+
+  clear() {
+    this.patterns.clear();
+    this.keyhashes.clear();
+    this.scripthashes.clear();
+  }
+}
+
+/*
+ * Helpers
+ */
+
+/**
+ * Get the key hash that a P2PKH, P2WPKH
+ * or P2PK scriptPubKey commits to.
+ * @param {Script} script
+ * @returns {Buffer|null}
+ */
+
+function getKeyhash(script) {
+  let hash = script.getPubkeyhash();
+
+  if (hash)
+    return hash;
+
+  hash = script.getWitnessPubkeyhash();
+
+  if (hash)
+    return hash;
+
+  const key = script.getPubkey();
+
+  if (key)
+    return hash160.digest(key);
+
+  return null;
+}
+
+/**
+ * Get the script hash of the P2SH-P2WPKH
+ * scriptPubKey of a key hash.
+ * @param {Buffer} keyhash
+ * @returns {Buffer}
+ */
+
+function getNestedHash(keyhash) {
+  const program = Buffer.concat([Buffer.from([0x00, 0x14]), keyhash]);
+  return hash160.digest(program);
+}
+
+function addID(map, key, id) {
+  if (!map.has(key))
+    map.set(key, new BufferSet());
+
+  map.get(key).add(id);
+}
+
+function removeID(map, key, id) {
+  const ids = map.get(key);
+
+  ids.delete(id);
+
+  if (ids.size === 0)
+    map.delete(key);
+}
+
+module.exports.Pattern = Pattern;
+module.exports.PatternSet = PatternSet;
+module.exports.getNestedHash = getNestedHash;
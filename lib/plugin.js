@@ -32,8 +32,19 @@ class Plugin extends EventEmitter {
       network: node.network.type,
       logger: node.logger,
       chain: node.chain,
+      mempool: node.mempool,
+      txindex: node.txindex,
+      filterindex: node.filterIndexers
+        ? node.filterIndexers.get('BASIC')
+        : null,
       blocks: node.blocks,
       memory: this.config.bool('memory'),
+      proofs: this.config.bool('relay-proofs', false),
+      filterItems: this.config.uint('relay-filter-items'),
+      filterRate: this.config.float('relay-filter-rate'),
+      filterExact: this.config.bool('relay-filter-exact'),
+      webhookUrl: this.config.str('relay-webhook-url'),
+      webhookSecret: this.config.str('relay-webhook-secret'),
       prefix: this.config.str('index-prefix', this.config.prefix),
       pruned: this.config.bool('pruned'),
       spv: this.config.bool('spv'),
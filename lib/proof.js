@@ -0,0 +1,220 @@
+/*!
+ * proof.js - stateless SPV proofs for bcoin-relaylib
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const bio = require('bufio');
+const hash256 = require('bcrypto/lib/hash256');
+const merkle = require('bcrypto/lib/merkle');
+const assert = require('bsert');
+const util = require('bcoin/lib/utils/util');
+
+const ZERO_HASH = Buffer.alloc(32);
+const NULL = Buffer.alloc(0);
+
+/**
+ * SPVProof
+ * A stateless SPV proof in the shape that
+ * OnDemandSPV.provideProof accepts. The tx
+ * is split into its version, vin, vout and
+ * locktime without witness data so that the
+ * parts hash to the txid. The merkle proof
+ * is the intermediate nodes between the txid
+ * and the merkle root. The header chain starts
+ * with the header of the block that includes
+ * the tx.
+ */
+
+class SPVProof extends bio.Struct {
+  constructor(options) {
+    super();
+
+    this.version = NULL;
+    this.vin = NULL;
+    this.vout = NULL;
+    this.locktime = NULL;
+    this.txid = ZERO_HASH;
+    this.index = 0;
+    this.intermediateNodes = NULL;
+    this.header = NULL;
+    this.headers = NULL;
+    this.input = 0;
+    this.output = 0;
+    this.request = null;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert(options.block, 'Must pass block.');
+    return this.fromBlock(options.block, options.index, options);
+  }
+
+  /**
+   * Build a proof for the tx at an
+   * index in a block.
+   * @param {Block} block
+   * @param {Number} index - tx index in block
+   * @param {Object?} options
+   * @param {Buffer[]?} options.headers - raw header
+   * chain starting with the header of block
+   * @param {Number?} options.input - matched input
+   * @param {Number?} options.output - matched output
+   * @param {Buffer?} options.request - request id
+   * @returns {SPVProof}
+   */
+
+  fromBlock(block, index, options = {}) {
+    assert((index >>> 0) === index);
+    assert(index < block.txs.length, 'Index out of range.');
+
+    const tx = block.txs[index];
+
+    this.version = toU32(tx.version);
+    this.vin = encodeVector(tx.inputs);
+    this.vout = encodeVector(tx.outputs);
+    this.locktime = toU32(tx.locktime);
+    this.txid = tx.hash();
+    this.index = index;
+
+    const leaves = [];
+    for (const tx of block.txs)
+      leaves.push(tx.hash());
+
+    const branch = merkle.createBranch(hash256, index, leaves);
+
+    this.intermediateNodes = Buffer.concat(branch);
+    this.header = block.toHead();
+
+    if (options.headers) {
+      assert(Array.isArray(options.headers));
+      assert(options.headers.length > 0);
+      assert(options.headers[0].equals(this.header),
+        'Header chain must start with the block.');
+      this.headers = Buffer.concat(options.headers);
+    } else {
+      this.headers = this.header;
+    }
+
+    // indices of -1 are used for no match,
+    // OnDemandSPV ignores the index in that case
+    if (options.input != null && options.input !== -1) {
+      assert((options.input >>> 0) === options.input);
+      this.input = options.input;
+    }
+
+    if (options.output != null && options.output !== -1) {
+      assert((options.output >>> 0) === options.output);
+      this.output = options.output;
+    }
+
+    if (options.request != null) {
+      assert(Buffer.isBuffer(options.request));
+      assert(options.request.length === 32);
+      this.request = options.request;
+    }
+
+    return this;
+  }
+
+  /**
+   * The input and output index packed
+   * into the uint16 that OnDemandSPV expects.
+   * Indices that do not fit in a uint8
+   * cannot be proven to OnDemandSPV.
+   * @returns {Number|null}
+   */
+
+  getReqIndices() {
+    if (this.input > 0xff || this.output > 0xff)
+      return null;
+
+    return (this.input << 8) | this.output;
+  }
+
+  /**
+   * Verify that the parts of the tx hash to the
+   * txid and that the merkle proof commits to
+   * the merkle root in the header.
+   * @returns {Boolean}
+   */
+
+  verify() {
+    const raw = Buffer.concat([
+      this.version,
+      this.vin,
+      this.vout,
+      this.locktime
+    ]);
+
+    if (!hash256.digest(raw).equals(this.txid))
+      return false;
+
+    const branch = [];
+    for (let i = 0; i < this.intermediateNodes.length; i += 32)
+      branch.push(this.intermediateNodes.slice(i, i + 32));
+
+    const root = merkle.deriveRoot(hash256, this.txid, branch, this.index);
+
+    return root.equals(this.header.slice(36, 68));
+  }
+
+  getJSON() {
+    return {
+      request: this.request ? this.request.toString('hex') : null,
+      txid: util.revHex(this.txid),
+      version: this.version.toString('hex'),
+      vin: this.vin.toString('hex'),
+      vout: this.vout.toString('hex'),
+      locktime: this.locktime.toString('hex'),
+      index: this.index,
+      intermediateNodes: this.intermediateNodes.toString('hex'),
+      header: this.header.toString('hex'),
+      headers: this.headers.toString('hex'),
+      input: this.input,
+      output: this.output,
+      reqIndices: this.getReqIndices()
+    };
+  }
+
+  static fromBlock(block, index, options) {
+    return new this().fromBlock(block, index, options);
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function toU32(num) {
+  const bw = bio.write(4);
+  bw.writeU32(num);
+  return bw.render();
+}
+
+function encodeVector(items) {
+  const bw = bio.write();
+
+  bw.writeVarint(items.length);
+
+  for (const item of items)
+    bw.writeBytes(item.toRaw());
+
+  return bw.render();
+}
+
+module.exports = SPVProof;
@@ -16,6 +16,8 @@ const bio = require('bufio');
 const sha256 = require('bcrypto/lib/sha256');
 const assert = require('bsert');
 const util = require('bcoin/lib/utils/util');
+const {Script} = require('bcoin');
+const Request = require('./request');
 
 /**
  * Records for the database.
@@ -96,6 +98,25 @@ class ScriptRecord extends bio.Struct {
     return this;
   }
 
+  /**
+   * Remove a request id from the record.
+   * @param {Buffer} id
+   * @returns {Boolean} - whether it was removed
+   */
+
+  remove(id) {
+    assert(Buffer.isBuffer(id));
+
+    const i = this.requests.findIndex(r => r.equals(id));
+
+    if (i === -1)
+      return false;
+
+    this.requests.splice(i, 1);
+
+    return true;
+  }
+
   fromOptions(options) {
     assert(Array.isArray(options.requests));
     assert(Buffer.isBuffer(options.script));
@@ -143,16 +164,29 @@ class ScriptRecord extends bio.Struct {
     return this;
   }
 
-  getJSON() {
+  /**
+   * Get the address of the script
+   * when it is a standard output.
+   * @returns {Address|null}
+   */
+
+  getAddress() {
+    return Script.fromRaw(this.script).getAddress();
+  }
+
+  getJSON(network) {
     const requests = [];
 
     for (const request of this.requests)
       requests.push(request.toString('hex'));
 
+    const address = this.getAddress();
+
     return {
       hash: this.hash.toString('hex'),
       requests: requests,
-      script: '0x' + this.script.toString('hex')
+      script: '0x' + this.script.toString('hex'),
+      address: address ? address.toString(network) : null
     };
   }
 
@@ -167,7 +201,9 @@ class ScriptRecord extends bio.Struct {
 
 /**
  * OutpointRecord
- * TODO: add isSpent method that checks nextout
+ * The nextout is the txid and input index
+ * that consumed the outpoint, it is null
+ * while the outpoint is unspent.
  */
 
 class OutpointRecord extends bio.Struct {
@@ -232,6 +268,53 @@ class OutpointRecord extends bio.Struct {
     return this;
   }
 
+  /**
+   * Remove a request id from the record.
+   * @param {Buffer} id
+   * @returns {Boolean} - whether it was removed
+   */
+
+  remove(id) {
+    assert(Buffer.isBuffer(id));
+
+    const i = this.requests.findIndex(r => r.equals(id));
+
+    if (i === -1)
+      return false;
+
+    this.requests.splice(i, 1);
+
+    return true;
+  }
+
+  /**
+   * Test whether the outpoint has been
+   * consumed by a transaction.
+   * @returns {Boolean}
+   */
+
+  isSpent() {
+    return !this.nextout.hash.equals(ZERO_HASH);
+  }
+
+  /**
+   * Record the input that consumes the outpoint.
+   * @param {Buffer} hash - little endian txid
+   * @param {Number} index - input index
+   */
+
+  spend(hash, index) {
+    assert(Buffer.isBuffer(hash));
+    assert((index >>> 0) === index);
+    this.nextout = {hash, index};
+    return this;
+  }
+
+  unspend() {
+    this.nextout = {hash: ZERO_HASH, index: 0};
+    return this;
+  }
+
   fromOptions(options) {
     assert(options.prevout);
     assert(Buffer.isBuffer(options.prevout.hash));
@@ -299,6 +382,7 @@ class OutpointRecord extends bio.Struct {
         hash: util.revHex(this.prevout.hash),
         index: this.prevout.index
       },
+      spent: this.isSpent(),
       requests: requests
     };
   }
@@ -312,5 +396,672 @@ class OutpointRecord extends bio.Struct {
   }
 }
 
+/**
+ * SatisfactionRecord
+ * Stored in database as request id to
+ * the transaction that most recently
+ * satisfied the Request. The input and
+ * output are the indices that matched and
+ * the value is the amount paid, each is
+ * -1 when there was no match.
+ */
+
+class SatisfactionRecord extends bio.Struct {
+  constructor(options) {
+    super();
+
+    this.id = ZERO_HASH;
+    this.txid = ZERO_HASH;
+    this.block = ZERO_HASH;
+    this.height = 0;
+    this.index = 0;
+    this.input = -1;
+    this.output = -1;
+    this.value = -1;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  getSize() {
+    // txid and block hash
+    let size = 64;
+
+    // height, index, input and output
+    size += 16;
+
+    // value
+    size += 8;
+
+    return size;
+  }
+
+  read(br, id) {
+    if (id)
+      this.id = id;
+
+    this.txid = br.readHash();
+    this.block = br.readHash();
+    this.height = br.readU32();
+    this.index = br.readU32();
+    this.input = fromU32(br.readU32());
+    this.output = fromU32(br.readU32());
+    this.value = br.readI64();
+
+    return br;
+  }
+
+  write(bw) {
+    bw.writeHash(this.txid);
+    bw.writeHash(this.block);
+    bw.writeU32(this.height);
+    bw.writeU32(this.index);
+    bw.writeU32(this.input >>> 0);
+    bw.writeU32(this.output >>> 0);
+    bw.writeI64(this.value);
+
+    return bw;
+  }
+
+  fromOptions(options) {
+    assert(Buffer.isBuffer(options.id));
+    assert(options.id.length === 32);
+    assert(Buffer.isBuffer(options.txid));
+    assert(Buffer.isBuffer(options.block));
+    assert((options.height >>> 0) === options.height);
+    assert((options.index >>> 0) === options.index);
+
+    this.id = options.id;
+    this.txid = options.txid;
+    this.block = options.block;
+    this.height = options.height;
+    this.index = options.index;
+
+    if (options.input != null) {
+      assert(Number.isSafeInteger(options.input) && options.input >= -1);
+      this.input = options.input;
+    }
+
+    if (options.output != null) {
+      assert(Number.isSafeInteger(options.output) && options.output >= -1);
+      this.output = options.output;
+    }
+
+    if (options.value != null) {
+      assert(Number.isSafeInteger(options.value) && options.value >= -1);
+      this.value = options.value;
+    }
+
+    return this;
+  }
+
+  getJSON() {
+    return {
+      id: this.id.toString('hex'),
+      txid: util.revHex(this.txid),
+      block: util.revHex(this.block),
+      height: this.height,
+      index: this.index,
+      input: this.input === -1 ? null : this.input,
+      output: this.output === -1 ? null : this.output,
+      value: this.value === -1 ? null : this.value
+    };
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/**
+ * TXRecord
+ * Stored in database as txid to the
+ * list of request ids that wait for
+ * the tx to be included in a block.
+ */
+
+class TXRecord extends bio.Struct {
+  constructor(options) {
+    super();
+
+    this.txid = ZERO_HASH;
+    this.requests = [];
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  getSize() {
+    // number of requests stored in u32
+    let size = 4;
+
+    // each request is 32 bytes
+    size += this.requests.length * 32;
+
+    return size;
+  }
+
+  read(br, txid) {
+    if (txid)
+      this.txid = txid;
+
+    const count = br.readU32();
+    for (let i = 0; i < count; i++)
+      this.requests.push(br.readBytes(32));
+
+    return br;
+  }
+
+  write(bw) {
+    bw.writeU32(this.requests.length);
+
+    for (const request of this.requests)
+      bw.writeBytes(request);
+
+    return bw;
+  }
+
+  add(id) {
+    assert(Buffer.isBuffer(id));
+    assert(id.length === 32);
+    this.requests.push(id);
+    return this;
+  }
+
+  remove(id) {
+    assert(Buffer.isBuffer(id));
+
+    const i = this.requests.findIndex(r => r.equals(id));
+
+    if (i === -1)
+      return false;
+
+    this.requests.splice(i, 1);
+
+    return true;
+  }
+
+  fromOptions(options) {
+    assert(Buffer.isBuffer(options.txid));
+    assert(options.txid.length === 32);
+    assert(Array.isArray(options.requests));
+
+    this.txid = options.txid;
+
+    for (const request of options.requests) {
+      assert(Buffer.isBuffer(request));
+      assert(request.length === 32);
+      this.requests.push(request);
+    }
+
+    return this;
+  }
+
+  getJSON() {
+    const requests = [];
+
+    for (const request of this.requests)
+      requests.push(request.toString('hex'));
+
+    return {
+      txid: util.revHex(this.txid),
+      requests: requests
+    };
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/**
+ * StatusRecord
+ * The status transitions of a Request
+ * in the order they happened. Each has
+ * the new status, the chain height and
+ * the unix time of the transition.
+ */
+
+class StatusRecord extends bio.Struct {
+  constructor(options) {
+    super();
+
+    this.id = ZERO_HASH;
+    this.transitions = [];
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  getSize() {
+    // number of transitions
+    let size = 4;
+
+    // status, height and time
+    size += this.transitions.length * 9;
+
+    return size;
+  }
+
+  read(br, id) {
+    if (id)
+      this.id = id;
+
+    const count = br.readU32();
+
+    for (let i = 0; i < count; i++) {
+      this.transitions.push({
+        status: br.readU8(),
+        height: br.readU32(),
+        time: br.readU32()
+      });
+    }
+
+    return br;
+  }
+
+  write(bw) {
+    bw.writeU32(this.transitions.length);
+
+    for (const {status, height, time} of this.transitions) {
+      bw.writeU8(status);
+      bw.writeU32(height);
+      bw.writeU32(time);
+    }
+
+    return bw;
+  }
+
+  /**
+   * Record a transition to a status.
+   * @param {Number} status
+   * @param {Number} height
+   * @param {Number} time - unix time
+   */
+
+  add(status, height, time) {
+    assert(Request.statusesByVal[status] != null, 'Unknown status.');
+    assert((height >>> 0) === height);
+    assert((time >>> 0) === time);
+
+    this.transitions.push({status, height, time});
+
+    return this;
+  }
+
+  fromOptions(options) {
+    assert(Buffer.isBuffer(options.id));
+    assert(options.id.length === 32);
+
+    this.id = options.id;
+
+    if (options.transitions) {
+      assert(Array.isArray(options.transitions));
+
+      for (const {status, height, time} of options.transitions)
+        this.add(status, height, time);
+    }
+
+    return this;
+  }
+
+  getJSON() {
+    return {
+      id: this.id.toString('hex'),
+      transitions: this.transitions.map(t => ({
+        status: Request.statusesByVal[t.status],
+        height: t.height,
+        time: t.time
+      }))
+    };
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/**
+ * JobRecord
+ * A rescan that runs in the background. The
+ * height is the next block to scan and is
+ * written after each block so that a running
+ * rescan resumes after a restart. A job with
+ * a request id only rescans for that Request.
+ */
+
+class JobRecord extends bio.Struct {
+  constructor(options) {
+    super();
+
+    this.id = 0;
+    this.status = JobRecord.statuses.RUNNING;
+    this.start = 0;
+    this.height = 0;
+    this.target = 0;
+    this.matches = 0;
+    this.skipped = 0;
+    this.time = 0;
+    this.request = ZERO_HASH;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert((options.id >>> 0) === options.id);
+    assert((options.start >>> 0) === options.start);
+
+    this.id = options.id;
+    this.start = options.start;
+    this.height = options.start;
+
+    if (options.status != null) {
+      assert(JobRecord.statusesByVal[options.status] != null,
+        'Unknown status.');
+      this.status = options.status;
+    }
+
+    if (options.height != null) {
+      assert((options.height >>> 0) === options.height);
+      this.height = options.height;
+    }
+
+    if (options.target != null) {
+      assert((options.target >>> 0) === options.target);
+      this.target = options.target;
+    }
+
+    if (options.matches != null) {
+      assert((options.matches >>> 0) === options.matches);
+      this.matches = options.matches;
+    }
+
+    if (options.skipped != null) {
+      assert((options.skipped >>> 0) === options.skipped);
+      this.skipped = options.skipped;
+    }
+
+    if (options.time != null) {
+      assert((options.time >>> 0) === options.time);
+      this.time = options.time;
+    }
+
+    if (options.request) {
+      assert(Buffer.isBuffer(options.request));
+      assert(options.request.length === 32);
+      this.request = options.request;
+    }
+
+    return this;
+  }
+
+  isRunning() {
+    return this.status === JobRecord.statuses.RUNNING;
+  }
+
+  hasRequest() {
+    return !this.request.equals(ZERO_HASH);
+  }
+
+  getSize() {
+    // status, start, height, target, matches,
+    // skipped, time and request id
+    return 57;
+  }
+
+  read(br, id) {
+    this.id = id;
+    this.status = br.readU8();
+    this.start = br.readU32();
+    this.height = br.readU32();
+    this.target = br.readU32();
+    this.matches = br.readU32();
+    this.skipped = br.readU32();
+    this.time = br.readU32();
+    this.request = br.readHash();
+
+    return this;
+  }
+
+  write(bw) {
+    bw.writeU8(this.status);
+    bw.writeU32(this.start);
+    bw.writeU32(this.height);
+    bw.writeU32(this.target);
+    bw.writeU32(this.matches);
+    bw.writeU32(this.skipped);
+    bw.writeU32(this.time);
+    bw.writeHash(this.request);
+
+    return bw;
+  }
+
+  getJSON() {
+    return {
+      id: this.id,
+      status: JobRecord.statusesByVal[this.status],
+      start: this.start,
+      height: this.height,
+      target: this.target,
+      matches: this.matches,
+      skipped: this.skipped,
+      time: this.time,
+      request: this.hasRequest() ? this.request.toString('hex') : null
+    };
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/**
+ * Job statuses.
+ * @enum {Number}
+ */
+
+JobRecord.statuses = {
+  RUNNING: 0,
+  DONE: 1,
+  CANCELLED: 2,
+  FAILED: 3
+};
+
+/**
+ * Job statuses by value.
+ * @const {String[]}
+ */
+
+JobRecord.statusesByVal = [
+  'running',
+  'done',
+  'cancelled',
+  'failed'
+];
+
+/**
+ * EventRecord
+ * A relay event in the event log. Events
+ * are numbered in the order that they are
+ * emitted so that a client can replay the
+ * events after the last one it has seen.
+ */
+
+class EventRecord extends bio.Struct {
+  constructor(options) {
+    super();
+
+    this.seq = 0;
+    this.type = '';
+    this.data = null;
+    this.time = 0;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert((options.seq >>> 0) === options.seq);
+    assert(typeof options.type === 'string');
+
+    this.seq = options.seq;
+    this.type = options.type;
+
+    if (options.data != null) {
+      assert(typeof options.data === 'object');
+      this.data = options.data;
+    }
+
+    if (options.time != null) {
+      assert((options.time >>> 0) === options.time);
+      this.time = options.time;
+    }
+
+    return this;
+  }
+
+  getSize() {
+    let size = 0;
+    size += bio.sizeVarString(this.type, 'ascii');
+    size += bio.sizeVarString(JSON.stringify(this.data), 'utf8');
+    size += 4;
+    return size;
+  }
+
+  read(br, seq) {
+    this.seq = seq;
+    this.type = br.readVarString('ascii');
+    this.data = JSON.parse(br.readVarString('utf8'));
+    this.time = br.readU32();
+
+    return this;
+  }
+
+  write(bw) {
+    bw.writeVarString(this.type, 'ascii');
+    bw.writeVarString(JSON.stringify(this.data), 'utf8');
+    bw.writeU32(this.time);
+
+    return bw;
+  }
+
+  getJSON() {
+    return {
+      seq: this.seq,
+      type: this.type,
+      data: this.data,
+      time: this.time
+    };
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/**
+ * WebhookRecord
+ * A webhook delivery that is waiting to be
+ * retried. The body is kept as it was first
+ * sent so that every attempt is signed alike.
+ */
+
+class WebhookRecord extends bio.Struct {
+  constructor(options) {
+    super();
+
+    this.id = 0;
+    this.url = '';
+    this.body = '';
+    this.attempts = 0;
+    this.next = 0;
+
+    if (options)
+      this.fromOptions(options);
+  }
+
+  fromOptions(options) {
+    assert((options.id >>> 0) === options.id);
+    assert(typeof options.url === 'string');
+    assert(typeof options.body === 'string');
+
+    this.id = options.id;
+    this.url = options.url;
+    this.body = options.body;
+
+    if (options.attempts != null) {
+      assert((options.attempts >>> 0) === options.attempts);
+      this.attempts = options.attempts;
+    }
+
+    // time in milliseconds of
+    // the next delivery attempt
+    if (options.next != null) {
+      assert(Number.isSafeInteger(options.next) && options.next >= 0);
+      this.next = options.next;
+    }
+
+    return this;
+  }
+
+  getSize() {
+    let size = 0;
+    size += bio.sizeVarString(this.url, 'ascii');
+    size += bio.sizeVarString(this.body, 'utf8');
+    size += 4;
+    size += 8;
+    return size;
+  }
+
+  read(br, id) {
+    this.id = id;
+    this.url = br.readVarString('ascii');
+    this.body = br.readVarString('utf8');
+    this.attempts = br.readU32();
+    this.next = br.readU64();
+
+    return this;
+  }
+
+  write(bw) {
+    bw.writeVarString(this.url, 'ascii');
+    bw.writeVarString(this.body, 'utf8');
+    bw.writeU32(this.attempts);
+    bw.writeU64(this.next);
+
+    return bw;
+  }
+
+  getJSON() {
+    return {
+      id: this.id,
+      url: this.url,
+      attempts: this.attempts,
+      next: this.next
+    };
+  }
+
+  static fromOptions(options) {
+    return new this().fromOptions(options);
+  }
+}
+
+/*
+ * Helpers
+ */
+
+function fromU32(num) {
+  if (num === 0xffffffff)
+    return -1;
+  return num;
+}
+
 module.exports.ScriptRecord = ScriptRecord;
 module.exports.OutpointRecord = OutpointRecord;
+module.exports.SatisfactionRecord = SatisfactionRecord;
+module.exports.TXRecord = TXRecord;
+module.exports.StatusRecord = StatusRecord;
+module.exports.JobRecord = JobRecord;
+module.exports.EventRecord = EventRecord;
+module.exports.WebhookRecord = WebhookRecord;
@@ -15,15 +15,28 @@
 
 const AsyncEmitter = require('bevent');
 const assert = require('assert');
-const {Lock} = require('bmutex');
-const {Outpoint} = require('bcoin');
+const {Outpoint, Network, Script} = require('bcoin');
+const BasicFilter = require('bcoin/lib/golomb/basicFilter');
+const consensus = require('bcoin/lib/protocol/consensus');
 const Logger = require('blgr');
 const RelayIndexer = require('./indexer');
-const {ScriptRecord} = require('./records');
-const {BloomFilter} = require('bfilter');
-const {BufferSet} = require('buffer-map');
+const {ScriptRecord, OutpointRecord, JobRecord} = require('./records');
+const SPVProof = require('./proof');
+const RelayFilter = require('./filter');
+const {Pattern, getNestedHash} = require('./pattern');
+const Request = require('./request');
+const Webhooks = require('./webhooks');
+const {BufferSet, BufferMap} = require('buffer-map');
 const layout = require('./layout');
 
+// number of blocks scanned by a
+// rescan job between progress events
+const PROGRESS_INTERVAL = 100;
+
+// rescans for a new Request over fewer
+// blocks finish before it is returned
+const INLINE_BLOCKS = 100;
+
 /**
  * Relay for bcoin. Manages a RelayIndexer.
  * Currently depends on running inside of bcoin
@@ -40,11 +53,32 @@ class Relay extends AsyncEmitter {
     this.options = new RelayOptions(options);
     this.logger = this.options.logger.context('relay');
     this.chain = this.options.chain;
+    this.mempool = this.options.mempool;
+    this.txindex = this.options.txindex;
+    this.filterindex = this.options.filterindex;
     this.network = this.options.network;
 
-    this.writeLock = new Lock();
-
-    this.filter = BloomFilter.fromRate(20000, 0.001, BloomFilter.flags.ALL);
+    // mempool txs that match Requests,
+    // by txid to the matched request ids
+    this.pending = new BufferMap();
+
+    // running rescan jobs by id and
+    // the promises that run them
+    this.jobs = new Map();
+    this.rescans = new Map();
+    this.jobId = 0;
+    this.closing = false;
+
+    // set when an item could not be removed
+    // from the filter, it is rebuilt from
+    // the database after the write
+    this.stale = false;
+
+    this.filter = new RelayFilter({
+      items: this.options.filterItems,
+      rate: this.options.filterRate,
+      exact: this.options.filterExact
+    });
 
     this.indexer = new RelayIndexer({
       chain: this.options.chain,
@@ -53,15 +87,33 @@ class Relay extends AsyncEmitter {
       blocks: this.options.blocks,
       memory: this.options.memory,
       prefix: this.options.prefix,
-      has: item => this.filter.test(item)
+      proofs: this.options.proofs,
+      has: item => this.filter.test(item),
+      watch: item => this.filter.add(item),
+      unwatch: item => this.unwatchItem(item),
+      refilter: () => this.updateFilter()
+    });
+
+    // shared with the indexer so that writes
+    // and rescans wait for a connecting block
+    this.writeLock = this.indexer.locker;
+
+    this.webhooks = new Webhooks({
+      indexer: this.indexer,
+      logger: this.logger,
+      url: this.options.webhookUrl,
+      secret: this.options.webhookSecret
     });
   }
 
   // TODO: be sure about logic when restarting
   async open() {
+    this.closing = false;
     this.listen();
     await this.indexer.open();
+    await this.webhooks.open();
     await this.watch();
+    await this.resumeRescans();
   }
 
   /**
@@ -75,17 +127,175 @@ class Relay extends AsyncEmitter {
       this.emit('error', error);
     });
 
+    this.indexer.on('event', (record) => {
+      this.emit('event', record.toJSON());
+    });
+
+    this.on('event', (event) => {
+      this.webhooks.handleEvent(event).catch((e) => {
+        this.emit('error', e);
+      });
+    });
+
     this.indexer.on('requests satisfied', (data) => {
       this.logger.spam('Requests Satisfied: %s', data.satisfied);
-      this.emit('requests satisfied', data);
+      this.publish('requests satisfied', data);
+    });
+
+    this.indexer.on('requests unsatisfied', (data) => {
+      this.logger.spam('Requests Unsatisfied: %s', data.unsatisfied);
+      this.publish('requests unsatisfied', data);
+    });
+
+    this.indexer.on('requests confirmed', (data) => {
+      this.logger.spam('Requests Confirmed: %s', data.confirmed);
+      this.publish('requests confirmed', data);
+    });
+
+    this.indexer.on('requests expired', (data) => {
+      this.logger.spam('Requests Expired: %s', data.expired);
+      this.publish('requests expired', data);
+    });
+
+    this.indexer.on('requests unexpired', (data) => {
+      this.logger.spam('Requests Unexpired: %s', data.unexpired);
+      this.publish('requests unexpired', data);
+    });
+
+    if (!this.mempool)
+      return;
+
+    this.mempool.on('tx', async (tx) => {
+      try {
+        await this.handleTX(tx);
+      } catch (e) {
+        this.emit('error', e);
+      }
+    });
+
+    this.mempool.on('remove entry', (entry) => {
+      this.handleRemove(entry);
+    });
+
+    this.mempool.on('double spend', (entry) => {
+      const pending = this.pending.get(entry.tx.hash());
+
+      if (pending)
+        pending.replaced = true;
+    });
+
+    this.mempool.on('confirmed', (tx) => {
+      this.pending.delete(tx.hash());
+    });
+  }
+
+  /**
+   * Test a transaction entering the mempool
+   * against the filter and records. Matches
+   * are sent as pending satisfactions.
+   * @param {TX} tx
+   * @returns {Promise}
+   */
+
+  async handleTX(tx) {
+    const matches = await this.indexer.matchTX(tx, this.indexer.has);
+
+    if (matches.size === 0)
+      return;
+
+    const ids = Array.from(matches.keys());
+
+    const values = {};
+    for (const [id, match] of matches) {
+      if (match.value !== -1)
+        values[id] = match.value;
+    }
+
+    this.pending.set(tx.hash(), {
+      ids: ids,
+      replaced: false
+    });
+
+    this.logger.spam('Requests Pending: %s', ids);
+
+    this.publish('requests pending', {
+      txid: tx.txid(),
+      pending: ids,
+      values: values
+    });
+  }
+
+  /**
+   * Handle a pending tx leaving the mempool.
+   * A tx that is removed because it was
+   * confirmed emits 'confirmed' in the same
+   * tick, so wait a tick before deciding it
+   * was evicted or replaced.
+   * @param {MempoolEntry} entry
+   */
+
+  handleRemove(entry) {
+    const hash = entry.tx.hash();
+
+    if (!this.pending.has(hash))
+      return;
+
+    process.nextTick(() => {
+      const pending = this.pending.get(hash);
+
+      if (!pending)
+        return;
+
+      this.pending.delete(hash);
+
+      this.logger.spam('Requests Evicted: %s', pending.ids);
+
+      this.publish('requests evicted', {
+        txid: entry.txid(),
+        reason: pending.replaced ? 'replaced' : 'evicted',
+        evicted: pending.ids
+      });
+    });
+  }
+
+  /**
+   * Emit an event and append it to the event
+   * log. The logged record is emitted as
+   * 'event' once it is committed.
+   * @param {String} type
+   * @param {Object} data
+   */
+
+  publish(type, data) {
+    this.emit(type, data);
+
+    this.indexer.logEvent(type, data).catch((e) => {
+      this.emit('error', e);
     });
   }
 
+  /**
+   * Get the logged events after a sequence.
+   * @param {Number} since
+   * @param {Number} limit
+   * @returns {Promise<EventRecord[]>}
+   */
+
+  async getEvents(since, limit) {
+    return this.indexer.getEvents(since, limit);
+  }
+
   /**
    * Handle graceful shutdown.
    */
 
   async close() {
+    // running jobs stop after their current
+    // block and resume on the next open
+    this.closing = true;
+    await Promise.all(this.rescans.values());
+
+    await this.webhooks.close();
     await this.indexer.close();
   }
 
@@ -93,11 +303,78 @@ class Relay extends AsyncEmitter {
    * Populate filter with outpoints and scriptPubKeys.
    * This should be invoked on start and fill the
    * bloom filter with all indexed outpoints and
-   * scriptPubKeys.
+   * scriptPubKeys. The filter is resized when it
+   * holds more items than it was sized for.
    * @returns {Promise}
    */
 
   async watch() {
+    await this.fill(this.filter);
+    await this.updateFilter();
+  }
+
+  /**
+   * Remove an item from the filter. A bloom
+   * filter cannot remove items, so it is
+   * marked to be rebuilt.
+   * @param {Buffer} item
+   */
+
+  unwatchItem(item) {
+    if (!this.filter.remove(item))
+      this.stale = true;
+  }
+
+  /**
+   * Grow the filter once it holds more
+   * items than it was sized for and rebuild
+   * it when items could not be removed.
+   * @returns {Promise}
+   */
+
+  async updateFilter() {
+    if (this.filter.isFull())
+      await this.refilter();
+    else if (this.stale)
+      await this.refilter(this.filter.items);
+  }
+
+  /**
+   * Rebuild the filter from the database, by
+   * default with room for twice the number of
+   * watched items. The new filter replaces the
+   * old one once it is filled so that blocks are
+   * never tested against a partial filter.
+   * @param {Number?} items - filter capacity
+   * @returns {Promise}
+   */
+
+  async refilter(items) {
+    if (items == null)
+      items = Math.max(this.filter.items, this.filter.size) * 2;
+
+    const filter = new RelayFilter({
+      items: items,
+      rate: this.filter.rate,
+      exact: this.filter.exact
+    });
+
+    await this.fill(filter);
+
+    this.filter = filter;
+    this.stale = false;
+
+    this.logger.info('Rebuilt Relay filter for %d items.', filter.items);
+  }
+
+  /**
+   * Add the indexed outpoints, scriptPubKeys
+   * and txids to a filter.
+   * @param {RelayFilter} filter
+   * @returns {Promise}
+   */
+
+  async fill(filter) {
     const siter = this.indexer.scriptRecordIterator();
 
     let records = 0;
@@ -106,7 +383,7 @@ class Relay extends AsyncEmitter {
       const [hash] = layout.s.decode(key);
       const record = ScriptRecord.decode(value, hash);
 
-      this.filter.add(record.script);
+      filter.add(record.script);
 
       records += 1;
     });
@@ -117,54 +394,480 @@ class Relay extends AsyncEmitter {
 
     let outpoints = 0;
 
-    await oiter.each((key) => {
+    await oiter.each((key, value) => {
       const [hash, index] = layout.o.decode(key);
+      const record = OutpointRecord.decode(value, {hash, index});
+
+      // spent records are kept after
+      // their Requests stop watching
+      if (record.requests.length === 0)
+        return;
+
       const outpoint = new Outpoint(hash, index);
       const data = outpoint.toRaw();
 
-      this.filter.add(data);
+      filter.add(data);
 
       outpoints += 1;
     });
 
     this.logger.info('Added %d outpoints to Relay filter.', outpoints);
+
+    const titer = this.indexer.txRecordIterator();
+
+    let txids = 0;
+
+    await titer.each((key) => {
+      const [txid] = layout.t.decode(key);
+
+      filter.add(txid);
+
+      txids += 1;
+    });
+
+    this.logger.info('Added %d txids to Relay filter.', txids);
   }
 
   /**
    * Rescan
    *
    * fetch blocks from height to tip
-   * pass each to indexer.indexBlock
+   * pass each to indexer.rescanBlock
    */
 
   async rescan(height, cb) {
     while (height <= this.chain.tip.height) {
-      const block = await this.chain.getBlock(height);
+      const matches = await this.scanBlock(height, cb);
 
-      if (!block)
+      if (matches === -1)
         return;
 
-      const hash = block.hash();
+      height++;
+    }
+  }
+
+  /**
+   * Pass the block at a height
+   * to indexer.rescanBlock.
+   * @param {Number} height
+   * @param {Function?} cb - filter test
+   * @param {Buffer?} only - the id of the
+   * only Request to satisfy
+   * @returns {Promise<Number>} - the number of
+   * satisfied Requests, -1 when the block
+   * cannot be scanned
+   */
 
-      const entry = await this.chain.getEntry(hash);
+  async scanBlock(height, cb, only) {
+    const block = await this.chain.getBlock(height);
 
-      if (!entry) {
-        this.logger.error('No chain entry for height %s', height);
-        return;
+    if (!block)
+      return -1;
+
+    const hash = block.hash();
+
+    const entry = await this.chain.getEntry(hash);
+
+    if (!entry) {
+      this.logger.error('No chain entry for height %s', height);
+      return -1;
+    }
+
+    const meta = {height: entry.height, hash};
+
+    return this.indexer.rescanBlock(meta, block, cb, only);
+  }
+
+  /**
+   * Start a rescan job from a height to
+   * the indexed tip. The job runs in the
+   * background, its progress is persisted
+   * and emitted. Blocks connected after
+   * the job starts are indexed at the tip.
+   * @param {Number} height
+   * @param {Request?} request - only rescan
+   * for a single Request
+   * @returns {Promise<JobRecord>}
+   */
+
+  async startRescan(height, request = null) {
+    assert((height >>> 0) === height, 'Height must be a uint32.');
+
+    const job = JobRecord.fromOptions({
+      id: ++this.jobId,
+      start: height,
+      target: this.indexer.height,
+      time: Math.floor(Date.now() / 1000),
+      request: request ? request.id : null
+    });
+
+    await this.indexer.putJob(job);
+
+    this.logger.info('Starting rescan job %d from height %d.',
+      job.id, height);
+
+    this.runRescan(job);
+
+    return job;
+  }
+
+  /**
+   * Resume the rescan jobs that were
+   * running when the Relay was closed.
+   * @returns {Promise}
+   */
+
+  async resumeRescans() {
+    const jobs = await this.indexer.getJobs();
+
+    for (const job of jobs) {
+      if (job.id > this.jobId)
+        this.jobId = job.id;
+
+      if (!job.isRunning())
+        continue;
+
+      this.logger.info('Resuming rescan job %d at height %d.',
+        job.id, job.height);
+
+      this.runRescan(job);
+    }
+  }
+
+  /**
+   * Rescan the blocks from a height for a
+   * single Request. Short rescans finish
+   * before returning, longer ones are left
+   * running in the background.
+   * @param {Request} request
+   * @param {Number} height
+   * @returns {Promise<JobRecord>}
+   */
+
+  async rescanRequest(request, height) {
+    const job = await this.startRescan(height, request);
+    const promise = this.rescans.get(job.id);
+
+    if (promise && job.target - job.start < INLINE_BLOCKS)
+      await promise;
+
+    return job;
+  }
+
+  /**
+   * Run a rescan job in the background.
+   * @param {JobRecord} job
+   */
+
+  runRescan(job) {
+    this.jobs.set(job.id, job);
+
+    const promise = this._runRescan(job).catch((e) => {
+      this.emit('error', e);
+    }).then(() => {
+      this.jobs.delete(job.id);
+      this.rescans.delete(job.id);
+    });
+
+    this.rescans.set(job.id, promise);
+  }
+
+  /**
+   * Scan the blocks of a job one at a time
+   * until it reaches its target, is cancelled
+   * or the Relay is closed.
+   * @param {JobRecord} job
+   * @returns {Promise}
+   */
+
+  async _runRescan(job) {
+    const {DONE, FAILED} = JobRecord.statuses;
+
+    // a job for a single Request only
+    // tests the items of that Request
+    let request = null;
+    let has = null;
+    let only = null;
+
+    if (job.hasRequest()) {
+      request = await this.indexer.getRequest(job.request);
+
+      if (request) {
+        has = this.getTester(request);
+        only = request.id;
+      } else {
+        job.status = FAILED;
       }
+    }
 
-      const meta = {height: entry.height, hash};
+    // scripts tested against the compact
+    // filter of each block, null when the
+    // blocks must be scanned in full
+    let scripts = null;
 
-      const view = await this.chain.getBlockView(block);
+    if (job.isRunning())
+      scripts = await this.getFilterScripts(request);
 
-      if (!view) {
-        this.logger.error('No block view for height %s', height);
+    while (job.isRunning()) {
+      if (this.closing)
         return;
+
+      // blocks past the tip of a shorter
+      // chain are indexed when they connect
+      if (job.height > job.target || job.height > this.indexer.height) {
+        job.status = DONE;
+        break;
       }
 
-      await this.indexer.indexBlock(meta, block, view, cb);
-      height++;
+      if (scripts && !await this.mayMatch(job.height, scripts)) {
+        job.skipped += 1;
+        job.height += 1;
+
+        await this.indexer.putJob(job);
+
+        if ((job.height - job.start) % PROGRESS_INTERVAL === 0)
+          this.publish('rescan progress', job.toJSON());
+
+        continue;
+      }
+
+      const unlock = await this.writeLock.lock();
+
+      let matches;
+      try {
+        matches = await this.scanBlock(job.height, has, only);
+
+        // a match may derive the scripts
+        // of a descriptor
+        await this.updateFilter();
+      } finally {
+        unlock();
+      }
+
+      if (matches === -1) {
+        job.status = FAILED;
+        break;
+      }
+
+      job.matches += matches;
+      job.height += 1;
+
+      // a match may move the window
+      // of a descriptor
+      if (scripts && matches > 0)
+        scripts = await this.getFilterScripts(request);
+
+      await this.indexer.putJob(job);
+
+      if ((job.height - job.start) % PROGRESS_INTERVAL === 0)
+        this.publish('rescan progress', job.toJSON());
+    }
+
+    await this.indexer.putJob(job);
+
+    this.logger.info('Rescan job %d is %s at height %d (%d skipped).',
+      job.id, JobRecord.statusesByVal[job.status], job.height, job.skipped);
+
+    this.publish('rescan complete', job.toJSON());
+  }
+
+  /**
+   * Get the scripts to test against the BIP158
+   * filters of blocks for a rescan of a Request
+   * or of all active Requests. A txid, a prefix
+   * pattern or an outpoint without a known
+   * scriptPubKey cannot be tested.
+   * @param {Request?} request
+   * @returns {Promise<Buffer[]|null>} - null when
+   * blocks must be scanned in full
+   */
+
+  async getFilterScripts(request) {
+    if (!this.filterindex)
+      return null;
+
+    let requests;
+
+    if (request)
+      requests = [request];
+    else
+      requests = await this.indexer.getRequests(Request.statuses.ACTIVE);
+
+    const scripts = new BufferSet();
+
+    for (const request of requests) {
+      if (!await this.addFilterScripts(scripts, request))
+        return null;
+    }
+
+    return scripts.toArray();
+  }
+
+  /**
+   * Add the scripts of a Request to a set.
+   * @param {BufferSet} scripts
+   * @param {Request} request
+   * @returns {Promise<Boolean>} - false when the
+   * Request cannot be tested against a filter
+   */
+
+  async addFilterScripts(scripts, request) {
+    if (request.hasConfirms())
+      return false;
+
+    if (!request.pattern.isNull()) {
+      const {type, data} = request.pattern;
+
+      if (type !== Pattern.types.KEYHASH)
+        return false;
+
+      // a P2PK output commits to the key itself,
+      // which cannot be found from its hash
+      scripts.add(Script.fromPubkeyhash(data).toRaw());
+      scripts.add(Script.fromProgram(0, data).toRaw());
+      scripts.add(Script.fromScripthash(getNestedHash(data)).toRaw());
+    }
+
+    if (request.pays.raw.length > 0)
+      scripts.add(request.pays.raw);
+
+    // a spend is in the filter
+    // by the script of its coin
+    if (!request.spends.isNull()) {
+      const script = await this.getPrevScript(request.spends);
+
+      if (!script)
+        return false;
+
+      scripts.add(script);
+    }
+
+    if (request.hasDescriptor()) {
+      for (let i = 0; i < request.getWindow(); i++)
+        scripts.add(request.descriptor.derive(i).toRaw());
     }
+
+    return true;
+  }
+
+  /**
+   * Get the scriptPubKey of an outpoint
+   * from the UTXO set or the tx index.
+   * @param {Outpoint} prevout
+   * @returns {Promise<Buffer|null>}
+   */
+
+  async getPrevScript(prevout) {
+    const coin = await this.chain.getCoin(prevout.hash, prevout.index);
+
+    if (coin)
+      return coin.script.toRaw();
+
+    if (!this.txindex)
+      return null;
+
+    const meta = await this.txindex.getMeta(prevout.hash);
+
+    if (!meta)
+      return null;
+
+    const output = meta.tx.outputs[prevout.index];
+
+    if (!output)
+      return null;
+
+    return output.script.toRaw();
+  }
+
+  /**
+   * Test scripts against the BIP158 basic filter
+   * of the block at a height. A block without a
+   * filter may always match.
+   * @param {Number} height
+   * @param {Buffer[]} scripts
+   * @returns {Promise<Boolean>}
+   */
+
+  async mayMatch(height, scripts) {
+    const hash = await this.chain.getHash(height);
+
+    if (!hash)
+      return true;
+
+    const filter = await this.filterindex.getFilter(hash);
+
+    if (!filter)
+      return true;
+
+    const gcs = new BasicFilter().fromNBytes(filter.filter);
+
+    return gcs.matchAny(hash.slice(0, 16), scripts);
+  }
+
+  /**
+   * Cancel a running rescan job. The job
+   * stops after its current block.
+   * @param {Number} id
+   * @returns {Promise<JobRecord|null>}
+   */
+
+  async cancelRescan(id) {
+    const job = this.jobs.get(id);
+
+    if (!job)
+      return null;
+
+    job.status = JobRecord.statuses.CANCELLED;
+
+    await this.indexer.putJob(job);
+
+    return job;
+  }
+
+  /**
+   * Get a rescan job by id.
+   * @param {Number} id
+   * @returns {Promise<JobRecord|null>}
+   */
+
+  async getRescan(id) {
+    const job = this.jobs.get(id);
+
+    if (job)
+      return job;
+
+    return this.indexer.getJob(id);
+  }
+
+  async getRescans() {
+    return this.indexer.getJobs();
+  }
+
+  /**
+   * Get a filter test that only
+   * matches the items of a Request.
+   * @param {Request} request
+   * @returns {Function}
+   */
+
+  getTester(request) {
+    // derived scripts move with matches,
+    // they are tested against the filter
+    if (request.hasDescriptor())
+      return item => this.filter.test(item);
+
+    const items = new BufferSet();
+
+    if (!request.spends.isNull())
+      items.add(request.spends.toRaw());
+
+    if (request.pays.raw.length > 0)
+      items.add(request.pays.raw);
+
+    if (request.hasConfirms())
+      items.add(request.confirms);
+
+    return item => items.has(item);
   }
 
   /**
@@ -174,25 +877,32 @@ class Relay extends AsyncEmitter {
    * means to indexing a Request.
    *
    * Updates the Bloom Filter
+   * @param {Request} request
+   * @param {Object?} options
+   * @param {Number?} options.rescanFrom - rescan
+   * the blocks from a height for the Request
+   * @returns {Promise<Array|null>} - the Request,
+   * its records and the rescan job
    */
 
-  async addRequest(request) {
+  async addRequest(request, options = {}) {
     const unlock = await this.writeLock.lock();
+
+    let records;
     try {
-      const records = await this._addRequest(request);
+      records = await this._addRequest(request);
       if (!records) {
         this.logger.error('Error adding records to database: %s', Date.now());
         return null;
       }
 
-      // A Request must have 1 or both of an outpoint
-      // and a scriptPubKey. To make sure that the
-      // chain state is always properly reflected in
-      // the database, do a rescan after adding a
-      // Request. After the rescan is complete, add
-      // the outpoint/scriptPubKey to the bloom filter
-      // to be tested against future blocks.
-      const [, orecord, srecord] = records;
+      // A Request must have at least one of an outpoint,
+      // a scriptPubKey, a pattern, a txid or a descriptor.
+      // Add the outpoint/scriptPubKey/txid to the bloom
+      // filter to be tested against future blocks. Past
+      // blocks are rescanned for the Request when
+      // rescanFrom is set.
+      const [, orecord, srecord, trecord] = records;
 
       const items = new BufferSet();
 
@@ -206,18 +916,28 @@ class Relay extends AsyncEmitter {
       if (srecord)
         items.add(srecord.script);
 
+      if (trecord)
+        items.add(trecord.txid);
+
       if (items.size) {
         for (const item of items)
           this.filter.add(item);
       }
 
-      return records;
+      await this.updateFilter();
     } catch (e) {
       this.emit('error', e);
       return null;
     } finally {
       unlock();
     }
+
+    let job = null;
+
+    if (options.rescanFrom != null)
+      job = await this.rescanRequest(records[0], options.rescanFrom);
+
+    return [...records, job];
   }
 
   /**
@@ -252,8 +972,48 @@ class Relay extends AsyncEmitter {
     return this.indexer.putRequest(request);
   }
 
+  /**
+   * Cancel an active Request with a lock.
+   * The Request is kept while its records
+   * are no longer watched.
+   * @param {Buffer} id
+   * @returns {Promise<Request|null>}
+   */
+
+  async cancelRequest(id) {
+    const unlock = await this.writeLock.lock();
+    try {
+      return await this._cancelRequest(id);
+    } catch (e) {
+      this.emit('error', e);
+      return null;
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Cancel an active Request without a lock.
+   */
+
+  async _cancelRequest(id) {
+    const request = await this.indexer.cancelRequest(id);
+
+    if (!request)
+      return null;
+
+    await this.updateFilter();
+
+    return request;
+  }
+
   /**
    * Delete a Request with a lock.
+   * Removes the Request from its records
+   * and stops watching the records that
+   * no longer have a Request.
+   * @param {Buffer} id
+   * @returns {Promise<Array|null>}
    */
 
   async deleteRequest(id) {
@@ -273,7 +1033,34 @@ class Relay extends AsyncEmitter {
    */
 
   async _deleteRequest(id) {
-    return this.indexer.deleteRequest(id);
+    const removed = await this.indexer.removeRequest(id);
+
+    if (!removed)
+      return null;
+
+    const [, orecord, srecord, trecord] = removed;
+
+    const items = new BufferSet();
+
+    if (orecord && orecord.requests.length === 0) {
+      const outpoint = Outpoint.fromOptions(orecord.prevout);
+      items.add(outpoint.toKey());
+    }
+
+    if (srecord && srecord.requests.length === 0)
+      items.add(srecord.script);
+
+    if (trecord && trecord.requests.length === 0)
+      items.add(trecord.txid);
+
+    // derived scripts are unwatched
+    // by the indexer
+    for (const item of items)
+      this.unwatchItem(item);
+
+    await this.updateFilter();
+
+    return removed;
   }
 
   /**
@@ -286,12 +1073,258 @@ class Relay extends AsyncEmitter {
   }
 
   /**
-   * Get all indexed Requests.
+   * Get the most recent satisfaction of a Request.
+   * @returns {Promise}
+   */
+
+  async getSatisfaction(id) {
+    return this.indexer.getSatisfaction(id);
+  }
+
+  /**
+   * Build the SPV proof for the most recent
+   * satisfaction of a Request. The header chain
+   * includes the block with the satisfying tx
+   * and the blocks that confirm it, by default
+   * as many as the Request waits for.
+   * @param {Buffer} id
+   * @param {Number?} confirmations - length of header chain
+   * @returns {Promise<SPVProof|null>}
+   */
+
+  async getRequestProof(id, confirmations = null) {
+    const request = await this.getRequest(id);
+
+    if (!request)
+      return null;
+
+    const record = await this.getSatisfaction(id);
+
+    if (!record)
+      return null;
+
+    if (confirmations == null)
+      confirmations = Math.max(request.confirmations, 1);
+
+    const location = await this.findBlock(record.block);
+
+    if (!location)
+      return null;
+
+    return this.buildProof(location.entry, location.block, record.index, {
+      confirmations: confirmations,
+      input: record.input,
+      output: record.output,
+      request: id
+    });
+  }
+
+  /**
+   * Find a block in the main chain.
+   * @param {Buffer} hash
+   * @returns {Promise<Object|null>} - entry and block
+   */
+
+  async findBlock(hash) {
+    const entry = await this.chain.getEntry(hash);
+
+    if (!entry || !await this.chain.isMainChain(entry))
+      return null;
+
+    const block = await this.chain.getBlock(entry.hash);
+
+    if (!block) {
+      this.logger.error('No block for height %s', entry.height);
+      return null;
+    }
+
+    return {entry, block};
+  }
+
+  /**
+   * Find the block in the main chain that includes
+   * a tx. The block hash is used when it is known,
+   * otherwise the tx index of the node is queried.
+   * @param {Buffer} txid
+   * @param {Buffer?} hash - block hash
+   * @returns {Promise<Object|null>} - entry, block and tx index
+   */
+
+  async findTX(txid, hash = null) {
+    if (!hash) {
+      if (!this.txindex)
+        return null;
+
+      const meta = await this.txindex.getMeta(txid);
+
+      if (!meta)
+        return null;
+
+      hash = meta.block;
+    }
+
+    const location = await this.findBlock(hash);
+
+    if (!location)
+      return null;
+
+    const {entry, block} = location;
+
+    for (const [index, tx] of block.txs.entries()) {
+      if (tx.hash().equals(txid))
+        return {entry, block, index};
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the number of confirmations of
+   * a block in the main chain.
+   * @param {ChainEntry|SatisfactionRecord} entry
+   * @returns {Number}
+   */
+
+  getDepth(entry) {
+    return this.chain.height - entry.height + 1;
+  }
+
+  /**
+   * Build the SPV proof for the tx at an index
+   * of a block in the main chain.
+   * @param {ChainEntry} entry
+   * @param {Block} block
+   * @param {Number} index - tx index in block
+   * @param {Object} options
+   * @returns {Promise<SPVProof>}
+   */
+
+  async buildProof(entry, block, index, options = {}) {
+    const confirmations = options.confirmations || 1;
+
+    const headers = await this.getHeaderChain(entry.height, confirmations);
+
+    return SPVProof.fromBlock(block, index, {
+      headers: headers,
+      input: options.input,
+      output: options.output,
+      request: options.request
+    });
+  }
+
+  /**
+   * Get raw headers of the main chain
+   * starting at a height.
+   * @param {Number} height
+   * @param {Number} count
+   * @returns {Promise<Buffer[]>}
+   */
+
+  async getHeaderChain(height, count) {
+    if (height + count - 1 > this.chain.height)
+      throw new Error('Not enough confirmations.');
+
+    const headers = [];
+
+    for (let i = height; i < height + count; i++) {
+      const entry = await this.chain.getEntryByHeight(i);
+
+      if (!entry)
+        throw new Error(`No chain entry for height ${i}.`);
+
+      headers.push(entry.toHeaders().toHead());
+    }
+
+    return headers;
+  }
+
+  /**
+   * Get raw headers of the main chain split at
+   * difficulty retarget boundaries. Each epoch
+   * has its start and end height, the target and
+   * whether it starts at a retarget.
+   * @param {Number|Buffer} from - height or block hash
+   * @param {Number} count - max number of headers
+   * @returns {Promise<Object|null>}
+   */
+
+  async getHeaders(from, count) {
+    const entry = await this.chain.getEntry(from);
+
+    if (!entry || !await this.chain.isMainChain(entry))
+      return null;
+
+    const {retargetInterval} = Network.get(this.network).pow;
+    const end = Math.min(entry.height + count - 1, this.chain.height);
+
+    const headers = [];
+    const epochs = [];
+
+    let epoch = null;
+
+    for (let height = entry.height; height <= end; height++) {
+      const next = await this.chain.getEntryByHeight(height);
+
+      if (!next)
+        throw new Error(`No chain entry for height ${height}.`);
+
+      const raw = next.toHeaders().toHead();
+      headers.push(raw);
+
+      const retarget = height % retargetInterval === 0;
+
+      if (!epoch || retarget) {
+        const target = consensus.fromCompact(next.bits);
+
+        epoch = {
+          start: height,
+          end: height,
+          bits: next.bits,
+          target: target.toArrayLike(Buffer, 'be', 32),
+          retarget: retarget,
+          headers: []
+        };
+
+        epochs.push(epoch);
+      }
+
+      epoch.end = height;
+      epoch.headers.push(raw);
+    }
+
+    return {headers, epochs};
+  }
+
+  /**
+   * Get all indexed Requests, optionally
+   * filtered by status.
+   * @param {Number?} status
    * @returns {Promise}
    */
 
-  async getRequests() {
-    return this.indexer.getRequests();
+  async getRequests(status = null) {
+    return this.indexer.getRequests(status);
+  }
+
+  /**
+   * Get a page of Requests, see
+   * RelayIndexer.getRequestPage.
+   * @param {Object} options
+   * @returns {Promise<Request[]>}
+   */
+
+  async getRequestPage(options) {
+    return this.indexer.getRequestPage(options);
+  }
+
+  /**
+   * Get the status transitions of a Request.
+   * @param {Buffer} id
+   * @returns {Promise<StatusRecord|null>}
+   */
+
+  async getStatusRecord(id) {
+    return this.indexer.getStatusRecord(id);
   }
 
   /**
@@ -327,11 +1360,23 @@ class Relay extends AsyncEmitter {
   }
 
   /**
-   * Get all OutpointRecords.
+   * Get all OutpointRecords, optionally
+   * filtered by spent state.
+   */
+
+  async getOutpointRecords(spent) {
+    return this.indexer.getOutpointRecords(spent);
+  }
+
+  /**
+   * Get a page of OutpointRecords, see
+   * RelayIndexer.getOutpointRecordPage.
+   * @param {Object} options
+   * @returns {Promise<OutpointRecord[]>}
    */
 
-  async getOutpointRecords() {
-    return this.indexer.getOutpointRecords();
+  async getOutpointRecordPage(options) {
+    return this.indexer.getOutpointRecordPage(options);
   }
 
   /**
@@ -385,6 +1430,17 @@ class Relay extends AsyncEmitter {
     return this.indexer.getScriptRecords();
   }
 
+  /**
+   * Get a page of ScriptRecords, see
+   * RelayIndexer.getScriptRecordPage.
+   * @param {Object} options
+   * @returns {Promise<ScriptRecord[]>}
+   */
+
+  async getScriptRecordPage(options) {
+    return this.indexer.getScriptRecordPage(options);
+  }
+
   /**
    * Get a ScriptRecord by script
    */
@@ -445,7 +1501,16 @@ class RelayOptions {
     this.network = null;
     this.blocks = null;
     this.chain = null;
+    this.mempool = null;
+    this.txindex = null;
+    this.filterindex = null;
     this.memory = false;
+    this.proofs = false;
+    this.filterItems = 20000;
+    this.filterRate = 0.001;
+    this.filterExact = false;
+    this.webhookUrl = null;
+    this.webhookSecret = null;
     this.prefix = null;
     this.logger = new Logger();
 
@@ -467,9 +1532,61 @@ class RelayOptions {
     assert(options.chain);
     this.chain = options.chain;
 
+    if (options.mempool != null) {
+      assert(typeof options.mempool === 'object');
+      this.mempool = options.mempool;
+    }
+
+    // the tx indexer of the node, used to
+    // find the block that includes a tx
+    if (options.txindex != null) {
+      assert(typeof options.txindex === 'object');
+      this.txindex = options.txindex;
+    }
+
+    // the BIP158 filter indexer of the node,
+    // used to skip blocks when rescanning
+    if (options.filterindex != null) {
+      assert(typeof options.filterindex === 'object');
+      this.filterindex = options.filterindex;
+    }
+
     if (typeof options.memory === 'boolean')
       this.memory = options.memory;
 
+    if (typeof options.proofs === 'boolean')
+      this.proofs = options.proofs;
+
+    if (options.filterItems != null) {
+      assert(Number.isSafeInteger(options.filterItems));
+      assert(options.filterItems > 0);
+      this.filterItems = options.filterItems;
+    }
+
+    if (options.filterRate != null) {
+      assert(typeof options.filterRate === 'number');
+      assert(options.filterRate > 0 && options.filterRate < 1);
+      this.filterRate = options.filterRate;
+    }
+
+    // keep the watched items in an exact set
+    // instead of a bloom filter
+    if (typeof options.filterExact === 'boolean')
+      this.filterExact = options.filterExact;
+
+    // satisfactions are posted to the webhook
+    // url and to the callbacks of Requests,
+    // signed with the webhook secret
+    if (options.webhookUrl != null) {
+      assert(typeof options.webhookUrl === 'string');
+      this.webhookUrl = options.webhookUrl;
+    }
+
+    if (options.webhookSecret != null) {
+      assert(typeof options.webhookSecret === 'string');
+      this.webhookSecret = options.webhookSecret;
+    }
+
     assert(options.prefix);
     this.prefix = options.prefix;
 
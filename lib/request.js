@@ -17,10 +17,19 @@ const {Outpoint, Script} = require('bcoin');
 const consensus = require('bcoin/lib/protocol/consensus');
 const assert = require('bsert');
 const util = require('bcoin/lib/utils/util');
+const {Pattern} = require('./pattern');
+const Descriptor = require('./descriptor');
 
 const NULL_256 = Buffer.alloc(32);
 const NULL_160 = Buffer.alloc(20);
 
+// default number of unused scripts
+// derived past the last match
+const DEFAULT_GAP = 20;
+
+// maximum length of a callback url
+const MAX_CALLBACK = 1024;
+
 /**
  * Request
  * Uses Script and Outpoint classes for validation
@@ -35,7 +44,19 @@ class Request extends bio.Struct {
     this.value = 0;
     this.spends = new Outpoint();
     this.pays = new Script();
+    this.pattern = new Pattern();
+    this.confirms = NULL_256;
+    this.descriptor = new Descriptor();
+    this.gap = DEFAULT_GAP;
+    this.next = 0;
+    this.callback = '';
     this.timestamp = 0;
+    this.confirmations = 0;
+    this.sum = false;
+    this.expiresAtHeight = 0;
+    this.expiresAt = 0;
+    this.status = Request.statuses.ACTIVE;
+    this.mode = Request.modes.PERSISTENT;
 
     if (options)
       this.fromOptions(options);
@@ -85,9 +106,176 @@ class Request extends bio.Struct {
       this.pays = Script.fromRaw(options.pays);
     }
 
+    // scriptPubKey rule
+    if (options.pattern) {
+      if (options.pattern instanceof Pattern)
+        this.pattern = options.pattern;
+      else
+        this.pattern = Pattern.fromOptions(options.pattern);
+    }
+
+    // little endian txid that satisfies
+    // the Request when it is in a block
+    if (options.confirms) {
+      assert(Buffer.isBuffer(options.confirms));
+      assert(options.confirms.length === 32);
+      this.confirms = options.confirms;
+    }
+
+    // xpub or output descriptor, its scripts
+    // are derived up to gap past the next
+    // unused index
+    if (options.descriptor) {
+      if (options.descriptor instanceof Descriptor)
+        this.descriptor = options.descriptor;
+      else
+        this.descriptor = Descriptor.fromString(options.descriptor);
+    }
+
+    if (options.gap != null) {
+      assert((options.gap >>> 0) === options.gap && options.gap > 0,
+        'Gap must be a positive uint32.');
+      this.gap = options.gap;
+    }
+
+    if (options.next != null) {
+      assert((options.next >>> 0) === options.next,
+        'Next index must be a uint32.');
+      this.next = options.next;
+    }
+
+    // url that satisfactions of the
+    // Request are posted to
+    if (options.callback != null) {
+      assert(typeof options.callback === 'string');
+      assert(options.callback.length <= MAX_CALLBACK,
+        'Callback url is too long.');
+      this.callback = options.callback;
+    }
+
+    // number of blocks deep the satisfying tx
+    // must be before a confirmation is sent
+    if (options.confirmations != null) {
+      assert((options.confirmations >>> 0) === options.confirmations,
+        'Confirmations must be a uint32.');
+      this.confirmations = options.confirmations;
+    }
+
+    // sum all of the outputs to pays in a tx
+    // when comparing against the value
+    if (options.sum != null) {
+      assert(typeof options.sum === 'boolean');
+      this.sum = options.sum;
+    }
+
+    // height of the block at which the
+    // Request is no longer watched
+    if (options.expiresAtHeight != null) {
+      assert((options.expiresAtHeight >>> 0) === options.expiresAtHeight,
+        'Expiry height must be a uint32.');
+      this.expiresAtHeight = options.expiresAtHeight;
+    }
+
+    // unix time of the first block at which
+    // the Request is no longer watched
+    if (options.expiresAt != null) {
+      assert((options.expiresAt >>> 0) === options.expiresAt,
+        'Expiry time must be a uint32.');
+      this.expiresAt = options.expiresAt;
+    }
+
+    if (options.status != null)
+      this.status = fromName(options.status, Request.statuses, 'status');
+
+    // once Requests are no longer watched
+    // after they are first satisfied
+    if (options.mode != null)
+      this.mode = fromName(options.mode, Request.modes, 'mode');
+
     return this;
   }
 
+  /**
+   * Test whether the Request waits
+   * for a txid to be confirmed.
+   * @returns {Boolean}
+   */
+
+  hasConfirms() {
+    return !this.confirms.equals(NULL_256);
+  }
+
+  /**
+   * Test whether the Request derives
+   * its scripts from a descriptor.
+   * @returns {Boolean}
+   */
+
+  hasDescriptor() {
+    return !this.descriptor.isNull();
+  }
+
+  /**
+   * Get the number of derived scripts
+   * that are watched for the Request.
+   * @returns {Number}
+   */
+
+  getWindow() {
+    if (!this.hasDescriptor())
+      return 0;
+
+    return this.next + this.gap;
+  }
+
+  /**
+   * Test whether satisfactions of the
+   * Request are posted to a callback.
+   * @returns {Boolean}
+   */
+
+  hasCallback() {
+    return this.callback.length > 0;
+  }
+
+  /**
+   * Test whether the Request is watched.
+   * @returns {Boolean}
+   */
+
+  isActive() {
+    return this.status === Request.statuses.ACTIVE;
+  }
+
+  /**
+   * Test whether the Request is no longer
+   * watched after its first satisfaction.
+   * @returns {Boolean}
+   */
+
+  isOnce() {
+    return this.mode === Request.modes.ONCE;
+  }
+
+  /**
+   * Test whether the Request has expired
+   * at a block height and time. Zero is
+   * used for no expiry.
+   * @param {Number} height
+   * @param {Number} time - unix time
+   * @returns {Boolean}
+   */
+
+  isExpired(height, time) {
+    if (this.expiresAtHeight !== 0 && height >= this.expiresAtHeight)
+      return true;
+
+    if (this.expiresAt !== 0 && time >= this.expiresAt)
+      return true;
+
+    return false;
+  }
+
   /**
    * Invoked by bio.Struct.decode
    */
@@ -112,6 +300,54 @@ class Request extends bio.Struct {
 
     this.pays = Script.fromRaw(script);
 
+    // the fields below were appended to the
+    // encoding over time, Requests written
+    // before them end early and keep the
+    // defaults
+    if (br.left() === 0)
+      return this;
+
+    this.confirmations = br.readU32();
+
+    if (br.left() === 0)
+      return this;
+
+    this.sum = br.readU8() === 1;
+
+    if (br.left() === 0)
+      return this;
+
+    this.expiresAtHeight = br.readU32();
+    this.expiresAt = br.readU32();
+
+    if (br.left() === 0)
+      return this;
+
+    this.status = br.readU8();
+    this.mode = br.readU8();
+
+    if (br.left() === 0)
+      return this;
+
+    this.pattern = Pattern.read(br);
+
+    if (br.left() === 0)
+      return this;
+
+    this.confirms = br.readHash();
+
+    if (br.left() === 0)
+      return this;
+
+    this.descriptor = Descriptor.read(br);
+    this.gap = br.readU32();
+    this.next = br.readU32();
+
+    if (br.left() === 0)
+      return this;
+
+    this.callback = br.readVarString('ascii');
+
     return this;
   }
 
@@ -130,10 +366,27 @@ class Request extends bio.Struct {
 
     bw.writeVarBytes(this.pays.toRaw());
 
+    bw.writeU32(this.confirmations);
+    bw.writeU8(this.sum ? 1 : 0);
+    bw.writeU32(this.expiresAtHeight);
+    bw.writeU32(this.expiresAt);
+    bw.writeU8(this.status);
+    bw.writeU8(this.mode);
+    this.pattern.write(bw);
+    bw.writeHash(this.confirms);
+    this.descriptor.write(bw);
+    bw.writeU32(this.gap);
+    bw.writeU32(this.next);
+    bw.writeVarString(this.callback, 'ascii');
+
     return bw;
   }
 
-  getJSON() {
+  getJSON(network) {
+    // the address of pays when it
+    // is a standard output
+    const address = this.pays.getAddress();
+
     return {
       id: this.id.toString('hex'),
       address: this.address.toString('hex'),
@@ -143,6 +396,19 @@ class Request extends bio.Struct {
         index: this.spends.index
       },
       pays: this.pays.toJSON(),
+      paysAddress: address ? address.toString(network) : null,
+      pattern: this.pattern.isNull() ? null : this.pattern.toJSON(),
+      confirms: this.hasConfirms() ? util.revHex(this.confirms) : null,
+      descriptor: this.hasDescriptor() ? this.descriptor.toString() : null,
+      gap: this.gap,
+      next: this.next,
+      callback: this.hasCallback() ? this.callback : null,
+      confirmations: this.confirmations,
+      sum: this.sum,
+      expiresAtHeight: this.expiresAtHeight,
+      expiresAt: this.expiresAt,
+      status: Request.statusesByVal[this.status],
+      mode: Request.modesByVal[this.mode],
       timestamp: util.date(this.timestamp)
     };
   }
@@ -152,4 +418,64 @@ class Request extends bio.Struct {
   }
 }
 
+/**
+ * Request statuses.
+ * @enum {Number}
+ */
+
+Request.statuses = {
+  ACTIVE: 0,
+  SATISFIED: 1,
+  EXPIRED: 2,
+  CANCELLED: 3
+};
+
+/**
+ * Request statuses by value.
+ * @const {String[]}
+ */
+
+Request.statusesByVal = [
+  'active',
+  'satisfied',
+  'expired',
+  'cancelled'
+];
+
+/**
+ * Request modes.
+ * @enum {Number}
+ */
+
+Request.modes = {
+  PERSISTENT: 0,
+  ONCE: 1
+};
+
+/**
+ * Request modes by value.
+ * @const {String[]}
+ */
+
+Request.modesByVal = [
+  'persistent',
+  'once'
+];
+
+/*
+ * Helpers
+ */
+
+function fromName(value, values, name) {
+  if (typeof value === 'string') {
+    value = values[value.toUpperCase()];
+    assert(value != null, `Unknown ${name}.`);
+  }
+
+  assert((value >>> 0) === value, `Invalid ${name}.`);
+  assert(Object.values(values).includes(value), `Unknown ${name}.`);
+
+  return value;
+}
+
 module.exports = Request;
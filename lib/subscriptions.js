@@ -0,0 +1,188 @@
+/*!
+ * subscriptions.js - websocket subscriptions for bcoin-relaylib
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const {Script} = require('bcoin');
+const {BufferSet} = require('buffer-map');
+
+/**
+ * Subscriptions
+ * The Requests that a websocket subscribed to,
+ * by request id, by ethereum address, by the
+ * scriptPubKeys that they watch and by the
+ * outpoint that they spend.
+ */
+
+class Subscriptions {
+  constructor() {
+    this.requests = new BufferSet();
+    this.addresses = new BufferSet();
+    this.scripts = new BufferSet();
+    this.outpoints = new BufferSet();
+  }
+
+  get size() {
+    return this.requests.size
+      + this.addresses.size
+      + this.scripts.size
+      + this.outpoints.size;
+  }
+
+  isEmpty() {
+    return this.size === 0;
+  }
+
+  /**
+   * Get the set of items of a kind.
+   * @param {String} kind - request, address,
+   * script or outpoint
+   * @returns {BufferSet}
+   */
+
+  get(kind) {
+    switch (kind) {
+      case 'request':
+        return this.requests;
+      case 'address':
+        return this.addresses;
+      case 'script':
+        return this.scripts;
+      case 'outpoint':
+        return this.outpoints;
+    }
+
+    throw new Error(`Unknown subscription: ${kind}.`);
+  }
+
+  add(kind, items) {
+    const set = this.get(kind);
+
+    for (const item of items) {
+      assert(Buffer.isBuffer(item));
+      set.add(item);
+    }
+  }
+
+  remove(kind, items) {
+    const set = this.get(kind);
+
+    for (const item of items)
+      set.delete(item);
+  }
+
+  /**
+   * Test whether a Request is subscribed to.
+   * @param {Request} request
+   * @returns {Boolean}
+   */
+
+  test(request) {
+    if (this.requests.has(request.id))
+      return true;
+
+    if (this.addresses.has(request.address))
+      return true;
+
+    if (this.scripts.size > 0 && this.testScripts(request))
+      return true;
+
+    if (this.outpoints.size > 0 && this.outpoints.has(request.spends.toRaw()))
+      return true;
+
+    return false;
+  }
+
+  /**
+   * Test whether a script that the Request
+   * watches is subscribed to. These are its
+   * pays script, the scripts matched by its
+   * pattern and the scripts in the window
+   * of its descriptor.
+   * @param {Request} request
+   * @returns {Boolean}
+   */
+
+  testScripts(request) {
+    if (this.scripts.has(request.pays.toRaw()))
+      return true;
+
+    if (!request.pattern.isNull()) {
+      for (const raw of this.scripts) {
+        if (request.pattern.test(Script.fromRaw(raw)))
+          return true;
+      }
+    }
+
+    for (let i = 0; i < request.getWindow(); i++) {
+      if (this.scripts.has(request.descriptor.derive(i).toRaw()))
+        return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the key of the request ids
+   * in the data of a requests event.
+   * @param {String} type - e.g. requests satisfied
+   * @returns {String|null}
+   */
+
+  static getKey(type) {
+    if (!type.startsWith('requests '))
+      return null;
+
+    return type.slice(9);
+  }
+
+  /**
+   * Take the part of the data of a requests
+   * event that belongs to some of its Requests.
+   * Maps by request id are narrowed as well.
+   * @param {Object} data
+   * @param {String} key - key of the request ids
+   * @param {String[]} ids
+   * @returns {Object}
+   */
+
+  static narrow(data, key, ids) {
+    const out = {};
+
+    for (const name of Object.keys(data)) {
+      const value = data[name];
+
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        out[name] = value;
+        continue;
+      }
+
+      out[name] = {};
+
+      for (const id of ids) {
+        if (value[id] != null)
+          out[name][id] = value[id];
+      }
+    }
+
+    out[key] = ids;
+
+    return out;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Subscriptions;
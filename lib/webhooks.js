@@ -0,0 +1,416 @@
+/*!
+ * webhooks.js - webhook delivery for bcoin-relaylib
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const assert = require('bsert');
+const http = require('http');
+const https = require('https');
+const {URL} = require('url');
+const sha256 = require('bcrypto/lib/sha256');
+const {WebhookRecord} = require('./records');
+const Subscriptions = require('./subscriptions');
+
+// delay in milliseconds before the first
+// retry, doubled after each failed attempt
+const RETRY_BASE = 1000;
+
+// longest delay between two attempts
+const RETRY_MAX = 60 * 60 * 1000;
+
+// failed attempts after which
+// a delivery is dropped
+const MAX_ATTEMPTS = 20;
+
+// milliseconds to wait for a response
+const TIMEOUT = 10 * 1000;
+
+/**
+ * Webhooks
+ * Posts each satisfaction to the relay webhook
+ * url and to the callback urls of the satisfied
+ * Requests. The body is the logged event, signed
+ * with an HMAC-SHA256 of the shared secret in
+ * the X-Relay-Signature header. Failed deliveries
+ * are queued in the relay database and retried
+ * with exponential backoff.
+ */
+
+class Webhooks {
+  constructor(options) {
+    assert(options);
+    assert(options.indexer);
+    assert(options.logger);
+
+    this.indexer = options.indexer;
+    this.logger = options.logger.context('relay-webhooks');
+    this.url = null;
+    this.secret = null;
+    this.retryBase = RETRY_BASE;
+    this.retryMax = RETRY_MAX;
+    this.maxAttempts = MAX_ATTEMPTS;
+    this.timeout = TIMEOUT;
+
+    if (options.url != null) {
+      assert(typeof options.url === 'string');
+      this.url = options.url;
+    }
+
+    if (options.secret != null) {
+      assert(typeof options.secret === 'string');
+      this.secret = options.secret;
+    }
+
+    if (options.retryBase != null) {
+      assert((options.retryBase >>> 0) === options.retryBase);
+      assert(options.retryBase > 0);
+      this.retryBase = options.retryBase;
+    }
+
+    if (options.retryMax != null) {
+      assert(Number.isSafeInteger(options.retryMax));
+      assert(options.retryMax >= this.retryBase);
+      this.retryMax = options.retryMax;
+    }
+
+    if (options.maxAttempts != null) {
+      assert((options.maxAttempts >>> 0) === options.maxAttempts);
+      assert(options.maxAttempts > 0);
+      this.maxAttempts = options.maxAttempts;
+    }
+
+    if (options.timeout != null) {
+      assert((options.timeout >>> 0) === options.timeout);
+      this.timeout = options.timeout;
+    }
+
+    if (this.url)
+      assert(this.secret, 'Webhook url requires a webhook secret.');
+
+    this.id = 0;
+    this.queued = 0;
+    this.timer = null;
+    this.closing = false;
+
+    // deliveries that are being sent by
+    // id and the requests that send them
+    this.inflight = new Map();
+    this.requests = new Set();
+  }
+
+  /**
+   * Load the queue and start retrying.
+   * @returns {Promise}
+   */
+
+  async open() {
+    const records = await this.indexer.getWebhooks();
+
+    this.id = 0;
+    this.queued = records.length;
+    this.closing = false;
+
+    for (const record of records) {
+      if (record.id > this.id)
+        this.id = record.id;
+    }
+
+    if (this.queued > 0)
+      this.logger.info('Loaded %d queued webhooks.', this.queued);
+
+    this.timer = setInterval(() => {
+      this.flush().catch((e) => {
+        this.logger.error('Webhook retry failed: %s', e.message);
+      });
+    }, this.retryBase);
+
+    if (this.timer.unref)
+      this.timer.unref();
+  }
+
+  /**
+   * Stop retrying. Deliveries that are being
+   * sent are aborted and stay queued.
+   * @returns {Promise}
+   */
+
+  async close() {
+    this.closing = true;
+
+    if (this.timer != null) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    for (const req of this.requests)
+      req.abort();
+
+    await Promise.all(this.inflight.values());
+  }
+
+  /**
+   * Test whether deliveries can be signed.
+   * @returns {Boolean}
+   */
+
+  isEnabled() {
+    return this.secret != null;
+  }
+
+  /**
+   * Deliver a logged event. Only satisfactions
+   * are posted, a callback receives the part
+   * of the event for its own Requests.
+   * @param {Object} event - event record json
+   * @returns {Promise}
+   */
+
+  async handleEvent(event) {
+    if (event.type !== 'requests satisfied')
+      return;
+
+    if (!this.isEnabled())
+      return;
+
+    if (this.url)
+      await this.enqueue(this.url, event);
+
+    // satisfied request ids by callback url
+    const callbacks = new Map();
+
+    for (const id of event.data.satisfied) {
+      const request = await this.indexer.getRequest(Buffer.from(id, 'hex'));
+
+      if (!request || !request.hasCallback())
+        continue;
+
+      if (!callbacks.has(request.callback))
+        callbacks.set(request.callback, []);
+
+      callbacks.get(request.callback).push(id);
+    }
+
+    for (const [url, ids] of callbacks) {
+      await this.enqueue(url, {
+        seq: event.seq,
+        type: event.type,
+        data: Subscriptions.narrow(event.data, 'satisfied', ids),
+        time: event.time
+      });
+    }
+  }
+
+  /**
+   * Queue a delivery and send it.
+   * @param {String} url
+   * @param {Object} json
+   * @returns {Promise<WebhookRecord>}
+   */
+
+  async enqueue(url, json) {
+    const record = WebhookRecord.fromOptions({
+      id: ++this.id,
+      url: url,
+      body: JSON.stringify(json),
+      next: Date.now()
+    });
+
+    await this.indexer.putWebhook(record);
+    this.queued += 1;
+
+    this.send(record);
+
+    return record;
+  }
+
+  /**
+   * Send the queued deliveries
+   * that are due for a retry.
+   * @returns {Promise}
+   */
+
+  async flush() {
+    if (this.queued === 0 || this.closing)
+      return;
+
+    const now = Date.now();
+    const records = await this.indexer.getWebhooks();
+
+    for (const record of records) {
+      if (record.next <= now)
+        this.send(record);
+    }
+  }
+
+  /**
+   * Send a delivery unless it is
+   * already being sent.
+   * @param {WebhookRecord} record
+   * @returns {Promise}
+   */
+
+  send(record) {
+    if (this.closing)
+      return Promise.resolve();
+
+    if (this.inflight.has(record.id))
+      return this.inflight.get(record.id);
+
+    const promise = this.deliver(record).catch((e) => {
+      this.logger.error('Webhook %d failed: %s', record.id, e.message);
+    }).then(() => {
+      this.inflight.delete(record.id);
+    });
+
+    this.inflight.set(record.id, promise);
+
+    return promise;
+  }
+
+  /**
+   * Post a delivery. It is removed from the
+   * queue once it is accepted, otherwise the
+   * next attempt is scheduled.
+   * @param {WebhookRecord} record
+   * @returns {Promise}
+   */
+
+  async deliver(record) {
+    let error = null;
+
+    try {
+      await this.post(record.url, record.body);
+    } catch (e) {
+      error = e;
+    }
+
+    if (!error) {
+      this.logger.debug('Delivered webhook %d to %s.', record.id, record.url);
+      await this.remove(record);
+      return;
+    }
+
+    // aborted by close, the attempt
+    // is made again on the next open
+    if (this.closing)
+      return;
+
+    record.attempts += 1;
+
+    if (record.attempts >= this.maxAttempts) {
+      this.logger.warning('Dropping webhook %d to %s after %d attempts: %s',
+        record.id, record.url, record.attempts, error.message);
+      await this.remove(record);
+      return;
+    }
+
+    record.next = Date.now() + this.getDelay(record.attempts);
+
+    this.logger.debug('Webhook %d to %s failed (%s), attempt %d.',
+      record.id, record.url, error.message, record.attempts);
+
+    await this.indexer.putWebhook(record);
+  }
+
+  async remove(record) {
+    await this.indexer.deleteWebhook(record.id);
+    this.queued -= 1;
+  }
+
+  /**
+   * Get the delay before the next attempt.
+   * @param {Number} attempts - failed attempts
+   * @returns {Number} milliseconds
+   */
+
+  getDelay(attempts) {
+    const delay = this.retryBase * Math.pow(2, attempts - 1);
+    return Math.min(delay, this.retryMax);
+  }
+
+  /**
+   * Sign a body with the shared secret.
+   * @param {String} body
+   * @returns {String} hex
+   */
+
+  sign(body) {
+    const data = Buffer.from(body, 'utf8');
+    const key = Buffer.from(this.secret, 'utf8');
+    return sha256.mac(data, key).toString('hex');
+  }
+
+  /**
+   * Post a body, resolves when it is
+   * answered with a 2xx status.
+   * @param {String} url
+   * @param {String} body
+   * @returns {Promise}
+   */
+
+  post(url, body) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const backend = target.protocol === 'https:' ? https : http;
+      const data = Buffer.from(body, 'utf8');
+
+      const req = backend.request({
+        protocol: target.protocol,
+        hostname: target.hostname,
+        port: target.port,
+        path: target.pathname + target.search,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': data.length,
+          'X-Relay-Signature': this.sign(body)
+        }
+      });
+
+      this.requests.add(req);
+
+      const done = (err) => {
+        this.requests.delete(req);
+
+        if (err)
+          reject(err);
+        else
+          resolve();
+      };
+
+      req.setTimeout(this.timeout, () => {
+        req.abort();
+        done(new Error('Request timed out.'));
+      });
+
+      req.on('response', (res) => {
+        res.resume();
+
+        if (res.statusCode < 200 || res.statusCode >= 300)
+          done(new Error(`Status code ${res.statusCode}.`));
+        else
+          done(null);
+      });
+
+      req.on('abort', () => done(new Error('Request aborted.')));
+      req.on('error', done);
+
+      req.end(data);
+    });
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Webhooks;
@@ -0,0 +1,69 @@
+/**
+ * descriptor-test.js - Output descriptor tests
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const {hd, Script} = require('bcoin');
+const Descriptor = require('../lib/descriptor');
+const hash160 = require('bcrypto/lib/hash160');
+const assert = require('bsert');
+
+// BIP32 test vector 1
+const XPUB = 'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ'
+  + '29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8';
+
+describe('Descriptor', function () {
+  it('should read a bare xpub as pkh of the receive branch', () => {
+    const desc = Descriptor.fromString(XPUB);
+
+    assert.equal(desc.type, Descriptor.types.PKH);
+    assert.deepEqual(desc.path, [0]);
+    assert.equal(desc.toString(), `pkh(${XPUB}/0/*)#xgqkr0nt`);
+    assert.equal(desc.getPath(5), 'm/0/5');
+  });
+
+  it('should derive the scripts of a descriptor', () => {
+    const desc = Descriptor.fromString(`wpkh(${XPUB}/1/*)`);
+    const key = hd.PublicKey.fromBase58(XPUB).derive(1).derive(3);
+    const hash = hash160.digest(key.publicKey);
+
+    assert(desc.derive(3).equals(Script.fromProgram(0, hash)));
+
+    const nested = Descriptor.fromString(`sh(wpkh(${XPUB}/1/*))`);
+    const redeem = Script.fromProgram(0, hash);
+
+    assert(nested.derive(3).equals(
+      Script.fromScripthash(hash160.digest(redeem.toRaw()))));
+  });
+
+  it('should verify the checksum', () => {
+    const str = `pkh(${XPUB}/0/*)`;
+
+    assert(Descriptor.fromString(`${str}#xgqkr0nt`));
+    assert.throws(() => Descriptor.fromString(`${str}#xgqkr0nq`));
+  });
+
+  it('should reject hardened and unranged derivation', () => {
+    assert.throws(() => Descriptor.fromString(`wpkh(${XPUB}/0'/*)`));
+    assert.throws(() => Descriptor.fromString(`wpkh(${XPUB}/0)`));
+  });
+
+  it('should reserialize a descriptor', () => {
+    const str = `wpkh([d34db33f/84'/0'/0']${XPUB}/0/*)`;
+    const desc = Descriptor.fromString(str);
+    const decoded = Descriptor.decode(desc.encode());
+
+    assert.equal(decoded.origin, 'd34db33f/84\'/0\'/0\'');
+    assert.equal(decoded.toString(), desc.toString());
+    assert(decoded.derive(0).equals(desc.derive(0)));
+  });
+});
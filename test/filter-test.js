@@ -0,0 +1,93 @@
+/**
+ * filter-test.js - Relay filter tests
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const RelayFilter = require('../lib/filter');
+const random = require('bcrypto/lib/random');
+const assert = require('bsert');
+
+describe('RelayFilter', function () {
+  it('should match added items', () => {
+    // a false positive would not be counted
+    const filter = new RelayFilter({items: 100, rate: 0.000001});
+    const items = [];
+
+    for (let i = 0; i < 100; i++) {
+      const item = random.randomBytes(36);
+      filter.add(item);
+      items.push(item);
+    }
+
+    for (const item of items)
+      assert(filter.test(item));
+
+    assert.equal(filter.size, 100);
+    assert(!filter.isFull());
+
+    filter.add(random.randomBytes(36));
+    assert(filter.isFull());
+  });
+
+  it('should count distinct items', () => {
+    const bloom = new RelayFilter({items: 10});
+    const exact = new RelayFilter({items: 10, exact: true});
+    const item = random.randomBytes(36);
+
+    for (const filter of [bloom, exact]) {
+      for (let i = 0; i < 20; i++)
+        filter.add(item);
+
+      assert.equal(filter.size, 1);
+      assert(!filter.isFull());
+    }
+
+    exact.add(random.randomBytes(36));
+    assert.equal(exact.size, 2);
+
+    exact.remove(item);
+    exact.remove(item);
+    assert.equal(exact.size, 1);
+  });
+
+  it('should grow beyond the BIP37 limits', () => {
+    const filter = new RelayFilter({items: 100000, rate: 0.0001});
+    assert(!filter.bloom.isWithinConstraints());
+  });
+
+  it('should only match exact items', () => {
+    const filter = new RelayFilter({exact: true});
+    const item = random.randomBytes(36);
+
+    filter.add(item);
+
+    assert(filter.test(item));
+    assert(!filter.test(random.randomBytes(36)));
+    assert(!filter.isFull());
+
+    assert(filter.remove(item));
+    assert(!filter.test(item));
+    assert.equal(filter.size, 0);
+  });
+
+  it('should reset with a new capacity', () => {
+    const filter = new RelayFilter({items: 10});
+    const item = random.randomBytes(36);
+
+    filter.add(item);
+    filter.reset(20);
+
+    assert.equal(filter.items, 20);
+    assert.equal(filter.size, 0);
+    assert(!filter.test(item));
+  });
+});
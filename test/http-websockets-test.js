@@ -18,6 +18,7 @@ const RelayClient = require('../lib/client');
 const random = require('bcrypto/lib/random');
 const assert = require('bsert');
 const {NodeClient, WalletClient} = require('bcoin/lib/client');
+const {Address, MTX, Script} = require('bcoin');
 const Logger = require('blgr');
 
 const logger = new Logger();
@@ -71,6 +72,46 @@ const wallet = wclient.wallet('primary');
 // address used for coinbase rewards
 let coinbase;
 
+function randomAddress() {
+  const hash = random.randomBytes(20);
+  return Address.fromPubkeyhash(hash).toString('regtest');
+}
+
+function waitForEvent(event) {
+  return new Promise((resolve) => {
+    const callback = (data) => {
+      rclient.socket.unbind(event, callback);
+      resolve(data);
+    };
+
+    rclient.bind(event, callback);
+  });
+}
+
+// send a coin to the address of a Request
+// and get the mempool entry of the tx once
+// it is matched as pending
+async function sendPending(id, address) {
+  const pending = waitForEvent('relay requests pending');
+
+  const tx = await wallet.send({
+    account: 'default',
+    outputs: [
+      {value: consensus.COIN, address: address}
+    ]
+  });
+
+  const data = await pending;
+  assert.equal(data.txid, tx.hash);
+  assert.deepEqual(data.pending, [id]);
+
+  const hash = Buffer.from(tx.hash, 'hex').reverse();
+  const entry = node.mempool.getEntry(hash);
+  assert(entry);
+
+  return entry;
+}
+
 describe('HTTP and Websockets', function() {
   const HEX_NULL_248 = '00'.repeat(31);
 
@@ -171,6 +212,57 @@ describe('HTTP and Websockets', function() {
     assert(json.script);
   });
 
+  it('should index Request with pays as an address', async () => {
+    const script = Script.fromRaw(Buffer.from(pays, 'hex'));
+    const address = Address.fromScript(script);
+
+    const json = await rclient.putRequestRecord({
+      id: HEX_NULL_248 + '09',
+      address: random.randomBytes(20).toString('hex'),
+      value: consensus.COIN,
+      pays: address.toString('regtest')
+    });
+
+    assert.equal(json.script.script, '0x' + pays);
+    assert.equal(json.script.address, address.toString('regtest'));
+    assert.equal(json.request.paysAddress, address.toString('regtest'));
+
+    // addresses of other networks are rejected
+    const fn = async () => await rclient.putRequestRecord({
+      id: HEX_NULL_248 + '0a',
+      address: random.randomBytes(20).toString('hex'),
+      pays: address.toString('main')
+    });
+
+    await assert.rejects(fn, 'Status code: 400');
+
+    // bech32 addresses are decoded as well
+    const hash = random.randomBytes(20);
+    const segwit = Address.fromProgram(0, hash);
+
+    const witness = await rclient.putRequestRecord({
+      id: HEX_NULL_248 + '0b',
+      address: random.randomBytes(20).toString('hex'),
+      value: 0,
+      pays: segwit.toString('regtest')
+    });
+
+    assert.equal(witness.script.script, '0x0014' + hash.toString('hex'));
+    assert.equal(witness.request.paysAddress, segwit.toString('regtest'));
+
+    // empty scripts and truncated pushes are rejected
+    for (const script of ['', '0x', '4c', '14' + '00'.repeat(10)]) {
+      await assert.rejects(rclient.putRequestRecord({
+        id: HEX_NULL_248 + '0c',
+        address: random.randomBytes(20).toString('hex'),
+        value: 0,
+        pays: script
+      }));
+    }
+
+    assert.equal(await rclient.getRequest(HEX_NULL_248 + '0c'), null);
+  });
+
   it('should throw error when no Pays and no Spends', async () => {
     const fn = async () => await rclient.putRequestRecord({
       id: HEX_NULL_248 + '08',
@@ -189,30 +281,191 @@ describe('HTTP and Websockets', function() {
       event = true;
 
       assert.deepEqual(tx.hash, data.txid);
+
+      for (const id of data.satisfied)
+        assert.equal(data.values[id], consensus.COIN);
     }
 
     rclient.bind('relay requests satisfied', callback);
 
+    // the tx is matched when it enters the mempool
+    let onPending;
+    const pending = new Promise((resolve) => {
+      onPending = resolve;
+      rclient.bind('relay requests pending', onPending);
+    });
+
+    // the Requests for pays have a threshold of 1 coin
     tx = await wallet.send({
       account: 'default',
       outputs: [
-        {value: 0.1 * consensus.COIN, script: pays}
+        {value: consensus.COIN, script: pays}
       ]
     });
 
     assert(tx);
 
+    const data = await pending;
+    rclient.socket.unbind('relay requests pending', onPending);
+
+    assert.equal(data.txid, tx.hash);
+    assert(data.pending.includes('00'.repeat(32)));
+
     // mine a block to get it in the chain
     await nclient.execute('generatetoaddress', [1, coinbase]);
 
     assert(event);
 
+    // the satisfaction is persisted for later queries
+    const satisfaction = await rclient.getSatisfaction('00'.repeat(32));
+    assert.equal(satisfaction.txid, tx.hash);
+    assert.equal(satisfaction.input, null);
+    assert.equal(typeof satisfaction.output, 'number');
+
     // TODO: stuck on old version of bclient
     // without unbind method, so call it directly
     // on the client's socket
     rclient.socket.unbind('relay requests satisfied', callback);
   });
 
+  it('should receive a websocket event on eviction of a pending tx', async () => {
+    const {mempool} = node;
+    const id = HEX_NULL_248 + '40';
+    const address = randomAddress();
+
+    await rclient.putRequestRecord({
+      id: id,
+      address: random.randomBytes(20).toString('hex'),
+      value: 0,
+      pays: address
+    });
+
+    const entry = await sendPending(id, address);
+
+    const evicted = waitForEvent('relay requests evicted');
+    mempool.evictEntry(entry);
+
+    const data = await evicted;
+    assert.equal(data.txid, entry.txid());
+    assert.equal(data.reason, 'evicted');
+    assert.deepEqual(data.evicted, [id]);
+  });
+
+  it('should receive a websocket event on replacement of a pending tx', async () => {
+    const {mempool} = node;
+    const id = HEX_NULL_248 + '41';
+    const address = randomAddress();
+
+    await rclient.putRequestRecord({
+      id: id,
+      address: random.randomBytes(20).toString('hex'),
+      value: 0,
+      pays: address
+    });
+
+    const entry = await sendPending(id, address);
+
+    // a tx spending the same coin, as
+    // found in a block that is connected
+    const mtx = new MTX();
+    mtx.addOutpoint(entry.tx.inputs[0].prevout);
+    mtx.addOutput(Script.fromPubkeyhash(random.randomBytes(20)), 1000);
+
+    const replaced = waitForEvent('relay requests evicted');
+    mempool.removeDoubleSpends(mtx.toTX());
+
+    const data = await replaced;
+    assert.equal(data.txid, entry.txid());
+    assert.equal(data.reason, 'replaced');
+    assert.deepEqual(data.evicted, [id]);
+  });
+
+  it('should get a proof for a confirmed tx', async () => {
+    const satisfaction = await rclient.getSatisfaction('00'.repeat(32));
+
+    const options = {block: satisfaction.block};
+
+    const proof = await rclient.getProof(satisfaction.txid, options);
+
+    assert.equal(proof.txid, satisfaction.txid);
+    assert.equal(proof.index, satisfaction.index);
+    assert.equal(proof.header.length, 80 * 2);
+    assert.equal(proof.headers, proof.header);
+
+    // the tx only has a single confirmation
+    await assert.rejects(rclient.getProof(satisfaction.txid, {
+      block: satisfaction.block,
+      confirmations: 2
+    }));
+
+    await nclient.execute('generatetoaddress', [1, coinbase]);
+
+    const deeper = await rclient.getProof(satisfaction.txid, {
+      block: satisfaction.block,
+      confirmations: 2
+    });
+
+    assert.equal(deeper.headers.length, 2 * 80 * 2);
+    assert(deeper.headers.startsWith(proof.header));
+  });
+
+  it('should get the proof of a satisfied Request', async () => {
+    const id = '00'.repeat(32);
+    const satisfaction = await rclient.getSatisfaction(id);
+
+    // the Request does not wait for confirmations
+    const proof = await rclient.getRequestProof(id);
+
+    assert.equal(proof.request, id);
+    assert.equal(proof.txid, satisfaction.txid);
+    assert.equal(proof.index, satisfaction.index);
+    assert.equal(proof.output, satisfaction.output);
+    assert.equal(proof.headers, proof.header);
+
+    const deeper = await rclient.getRequestProof(id, {confirmations: 2});
+
+    assert.equal(deeper.headers.length, 2 * 80 * 2);
+    assert(deeper.headers.startsWith(proof.header));
+
+    const info = await nclient.getInfo();
+    const depth = info.chain.height - satisfaction.height + 1;
+
+    await assert.rejects(rclient.getRequestProof(id, {
+      confirmations: depth + 1
+    }));
+
+    assert.equal(await rclient.getRequestProof('ff'.repeat(32)), null);
+  });
+
+  it('should get a chain of headers', async () => {
+    const result = await rclient.getHeaders(0, 10);
+
+    // 80 byte headers as hex
+    assert.equal(result.headers.length, 10 * 80 * 2);
+
+    // regtest does not reach a second epoch
+    assert.equal(result.epochs.length, 1);
+
+    const [epoch] = result.epochs;
+    assert.equal(epoch.start, 0);
+    assert.equal(epoch.end, 9);
+    assert.equal(epoch.retarget, true);
+    assert.equal(epoch.headers, result.headers);
+    assert.equal(epoch.target.length, 64);
+
+    // the same headers can be fetched by hash
+    const info = await nclient.getInfo();
+    const block = await nclient.getBlock(1);
+
+    const byHash = await rclient.getHeaders(block.hash, 9);
+    assert.equal(byHash.headers, result.headers.slice(80 * 2));
+    assert.equal(byHash.epochs[0].retarget, false);
+
+    // the count is clamped to the tip
+    const tip = await rclient.getHeaders(info.chain.height, 10);
+    assert.equal(tip.headers.length, 80 * 2);
+  });
+
   it('should return the latest id from GET /', async () => {
     const n = 10;
     let prevID, id;
@@ -312,6 +565,268 @@ describe('HTTP and Websockets', function() {
     rclient.socket.unbind('relay requests satisfied', callback);
   });
 
+  it('should replay the logged events', async () => {
+    const events = await rclient.getEvents({since: 0});
+
+    // the satisfactions of the previous tests
+    assert(events.length >= 2);
+
+    for (const [i, event] of events.entries())
+      assert.equal(event.seq, i + 1);
+
+    const satisfied = events.filter(e => e.type === 'requests satisfied');
+    assert(satisfied.length >= 2);
+
+    const page = await rclient.getEvents({since: 1, limit: 1});
+    assert.equal(page.length, 1);
+    assert.deepEqual(page[0], events[1]);
+
+    const replayed = [];
+    await rclient.replay(1, (event) => {
+      replayed.push(event);
+    });
+
+    assert.deepEqual(replayed, events.slice(1));
+    assert.equal(rclient.since, events[events.length - 1].seq);
+  });
+
+  it('should only send subscribed events', async () => {
+    const sclient = new RelayClient({
+      network: 'regtest',
+      apiKey: 'foo',
+      port: ports.relay
+    });
+
+    await sclient.open();
+
+    const events = [];
+    let onEvent = null;
+
+    sclient.bind('relay requests satisfied', (data) => {
+      events.push(data);
+
+      if (onEvent)
+        onEvent();
+    });
+
+    // mine to an address and wait for
+    // the event of a subscribed Request
+    async function mine(address) {
+      const received = new Promise((resolve) => {
+        onEvent = resolve;
+      });
+
+      await nclient.execute('generatetoaddress', [1, address]);
+      await received;
+    }
+
+    const ids = [HEX_NULL_248 + '10', HEX_NULL_248 + '11'];
+    const addresses = [];
+    const accounts = [];
+
+    for (const id of ids) {
+      const hash = random.randomBytes(20);
+      const address = Address.fromPubkeyhash(hash).toString('regtest');
+      const account = random.randomBytes(20).toString('hex');
+
+      await rclient.putRequestRecord({
+        id: id,
+        address: account,
+        value: 0,
+        pays: address
+      });
+
+      addresses.push(address);
+      accounts.push(account);
+    }
+
+    await sclient.watchRequest([ids[0]]);
+
+    // the events of other Requests are sent
+    // before the event of the subscribed one
+    await nclient.execute('generatetoaddress', [1, addresses[1]]);
+    await mine(addresses[0]);
+
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0].satisfied, [ids[0]]);
+    assert.deepEqual(Object.keys(events[0].values), [ids[0]]);
+
+    await sclient.watchAddress(['0x' + accounts[1]]);
+    await mine(addresses[1]);
+
+    assert.equal(events.length, 2);
+    assert.deepEqual(events[1].satisfied, [ids[1]]);
+
+    await sclient.unwatchRequest([ids[0]]);
+    await sclient.watchScript([addresses[0]]);
+    await mine(addresses[0]);
+
+    assert.equal(events.length, 3);
+    assert.deepEqual(events[2].satisfied, [ids[0]]);
+
+    // a script subscription reaches the
+    // Requests whose pattern matches it
+    const keyhash = random.randomBytes(20);
+    const witness = Address.fromWitnessPubkeyhash(keyhash).toString('regtest');
+
+    await rclient.putRequestRecord({
+      id: HEX_NULL_248 + '12',
+      address: random.randomBytes(20).toString('hex'),
+      value: 0,
+      pattern: {
+        type: 'keyhash',
+        data: keyhash.toString('hex')
+      }
+    });
+
+    await sclient.watchScript([witness]);
+    await mine(witness);
+
+    assert.equal(events.length, 4);
+    assert.deepEqual(events[3].satisfied, [HEX_NULL_248 + '12']);
+
+    await assert.rejects(sclient.watchRequest(['00']));
+
+    await sclient.close();
+  });
+
+  it('should manage Requests over the websocket', async () => {
+    assert(rclient.authed);
+
+    const id = HEX_NULL_248 + '20';
+
+    const json = await rclient.putRequestRecord({
+      id: id,
+      address: random.randomBytes(20).toString('hex'),
+      value: consensus.COIN,
+      pays: pays
+    });
+
+    assert.equal(json.request.id, id);
+    assert.equal(json.script.script, '0x' + pays);
+
+    // the socket and http responses match
+    const request = await rclient.getRequest(id);
+    assert.deepEqual(request, json.request);
+    assert.deepEqual(await rclient.get(`/relay/request/${id}`), request);
+
+    const requests = await rclient.getRequests({status: 'active'});
+    assert(requests.some(r => r.id === id));
+
+    // validated like PUT /relay/request
+    await assert.rejects(rclient.putRequestRecord({
+      id: HEX_NULL_248 + '21',
+      address: random.randomBytes(20).toString('hex'),
+      value: consensus.COIN
+    }));
+
+    await assert.rejects(rclient.getRequests({status: 'foo'}));
+
+    const removed = await rclient.deleteRequest(id);
+    assert.equal(removed.success, true);
+    assert.equal(removed.request.id, id);
+
+    assert.equal(await rclient.getRequest(id), null);
+    assert.equal(await rclient.deleteRequest(id), null);
+
+    await assert.rejects(rclient.del('/relay/request', {id: '00'}),
+      'Status code: 400');
+  });
+
+  it('should not match a cancelled Request', async () => {
+    const {relay} = node.require('relay');
+    const {logger} = relay.indexer;
+
+    const id = HEX_NULL_248 + '30';
+    const hash = random.randomBytes(20);
+    const address = Address.fromPubkeyhash(hash).toString('regtest');
+    const script = Script.fromPubkeyhash(hash).toRaw();
+
+    await rclient.putRequestRecord({
+      id: id,
+      address: random.randomBytes(20).toString('hex'),
+      value: 0,
+      pays: address
+    });
+
+    assert(relay.filter.test(script));
+
+    const cancelled = await rclient.cancelRequest(id);
+    assert.equal(cancelled.status, 'cancelled');
+
+    // the script is no longer in the filter
+    assert(!relay.filter.test(script));
+
+    const errors = [];
+    const events = [];
+
+    const error = logger.error;
+    logger.error = (...args) => {
+      errors.push(args);
+      error.apply(logger, args);
+    };
+
+    const onEvent = data => events.push(data);
+    relay.on('requests satisfied', onEvent);
+
+    try {
+      await nclient.execute('generatetoaddress', [1, address]);
+    } finally {
+      logger.error = error;
+      relay.removeListener('requests satisfied', onEvent);
+    }
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(events, []);
+  });
+
+  it('should page through the listed records', async () => {
+    const scripts = await rclient.getScriptRecords();
+    assert(scripts.length > 1);
+
+    const [first] = await rclient.getScriptRecords({limit: 1});
+    assert.deepEqual(first, scripts[0]);
+
+    const rest = await rclient.getScriptRecords({after: first.script});
+    assert.deepEqual(rest, scripts.slice(1));
+
+    const outpoints = await rclient.getOutpointRecords();
+    assert(outpoints.length > 0);
+
+    const {hash, index} = outpoints[0].prevout;
+    const next = await rclient.getOutpointRecords({after: `${hash}:${index}`});
+    assert.deepEqual(next, outpoints.slice(1));
+
+    const requests = await rclient.getRequests();
+    const reversed = await rclient.getRequests({reverse: true});
+    assert.deepEqual(reversed, requests.slice().reverse());
+
+    await assert.rejects(rclient.getScriptRecords({limit: 0}));
+  });
+
+  it('should list all Requests without a limit or cursor', async () => {
+    // more Requests than fit in a default page
+    for (let i = 0; i < 101; i++) {
+      const index = i.toString(16).padStart(4, '0');
+
+      await rclient.putRequestRecord({
+        id: '50' + '00'.repeat(29) + index,
+        address: random.randomBytes(20).toString('hex'),
+        value: 0,
+        pays: randomAddress()
+      });
+    }
+
+    const requests = await rclient.getRequests();
+    assert(requests.length > 101);
+
+    const page = await rclient.getRequests({limit: 100});
+    assert.deepEqual(page, requests.slice(0, 100));
+
+    const rest = await rclient.getRequests({after: page[99].id});
+    assert.deepEqual(rest, requests.slice(100));
+  });
+
   it('should wipe the db', async () => {
     // query all of the requests in the database
     const r1 = await rclient.getRequests();
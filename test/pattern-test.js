@@ -0,0 +1,118 @@
+/**
+ * pattern-test.js - Script pattern tests
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const {Script} = require('bcoin');
+const {Pattern, PatternSet} = require('../lib/pattern');
+const random = require('bcrypto/lib/random');
+const hash160 = require('bcrypto/lib/hash160');
+const secp256k1 = require('bcrypto/lib/secp256k1');
+const assert = require('bsert');
+
+describe('Pattern', function () {
+  const hash = random.randomBytes(20);
+
+  it('should match OP_RETURN data by prefix', () => {
+    const pattern = Pattern.fromOptions({
+      type: 'prefix',
+      data: Buffer.from('6f6d6e69', 'hex')
+    });
+
+    const data = Buffer.from('6f6d6e690000', 'hex');
+
+    assert(pattern.test(Script.fromNulldata(data)));
+    assert(!pattern.test(Script.fromNulldata(data.slice(2))));
+    assert(!pattern.test(Script.fromPubkeyhash(hash)));
+  });
+
+  it('should match a key hash in any template', () => {
+    const pattern = Pattern.fromOptions({
+      type: 'keyhash',
+      data: hash
+    });
+
+    assert(pattern.test(Script.fromPubkeyhash(hash)));
+    assert(pattern.test(Script.fromProgram(0, hash)));
+    assert(!pattern.test(Script.fromScripthash(hash)));
+  });
+
+  it('should match a key hash nested in P2SH', () => {
+    const pattern = Pattern.fromOptions({
+      type: 'keyhash',
+      data: hash
+    });
+
+    const program = Script.fromProgram(0, hash);
+    const nested = Script.fromScripthash(hash160.digest(program.toRaw()));
+
+    assert(pattern.test(nested));
+  });
+
+  it('should match a key hash by its P2PK output', () => {
+    const key = secp256k1.publicKeyCreate(secp256k1.privateKeyGenerate());
+
+    const pattern = Pattern.fromOptions({
+      type: 'keyhash',
+      data: hash160.digest(key)
+    });
+
+    assert(pattern.test(Script.fromPubkey(key)));
+    assert(!pattern.test(Script.fromPubkey(secp256k1.publicKeyCreate(
+      secp256k1.privateKeyGenerate()))));
+  });
+
+  it('should reserialize a pattern', () => {
+    const pattern = Pattern.fromOptions({
+      type: 'keyhash',
+      data: hash
+    });
+
+    const decoded = Pattern.decode(pattern.encode());
+
+    assert.equal(decoded.type, Pattern.types.KEYHASH);
+    assert.bufferEqual(decoded.data, hash);
+  });
+
+  it('should match the ids of a pattern set', () => {
+    const set = new PatternSet();
+
+    const a = random.randomBytes(32);
+    const b = random.randomBytes(32);
+
+    set.add(a, Pattern.fromOptions({type: 'keyhash', data: hash}));
+    set.add(b, Pattern.fromOptions({
+      type: 'prefix',
+      data: Buffer.from('aa', 'hex')
+    }));
+
+    let ids = set.match(Script.fromProgram(0, hash));
+    assert.equal(ids.length, 1);
+    assert.bufferEqual(ids[0], a);
+
+    ids = set.match(Script.fromNulldata(Buffer.from('aabb', 'hex')));
+    assert.equal(ids.length, 1);
+    assert.bufferEqual(ids[0], b);
+
+    const program = Script.fromProgram(0, hash);
+    const nested = Script.fromScripthash(hash160.digest(program.toRaw()));
+
+    ids = set.match(nested);
+    assert.equal(ids.length, 1);
+    assert.bufferEqual(ids[0], a);
+
+    assert(set.remove(a));
+    assert.equal(set.match(Script.fromPubkeyhash(hash)).length, 0);
+    assert.equal(set.match(nested).length, 0);
+    assert.equal(set.size, 1);
+  });
+});
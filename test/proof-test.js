@@ -0,0 +1,111 @@
+/**
+ * proof-test.js - SPV Proof tests
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const {MTX, Block, Script, Outpoint} = require('bcoin');
+const SPVProof = require('../lib/proof');
+const random = require('bcrypto/lib/random');
+const assert = require('bsert');
+
+describe('SPVProof', function () {
+  const block = new Block();
+
+  before(() => {
+    for (let i = 0; i < 5; i++) {
+      const mtx = new MTX();
+      mtx.addOutpoint(new Outpoint(random.randomBytes(32), i));
+      mtx.addOutput(Script.fromRaw(random.randomBytes(22)), 1000 * i);
+      mtx.locktime = i;
+      block.txs.push(mtx.toTX());
+    }
+
+    block.merkleRoot = block.createMerkleRoot();
+  });
+
+  it('should build a valid proof for each tx', () => {
+    for (let i = 0; i < block.txs.length; i++) {
+      const proof = SPVProof.fromBlock(block, i);
+
+      assert(proof.verify());
+      assert.bufferEqual(proof.txid, block.txs[i].hash());
+      assert.equal(proof.index, i);
+      assert.bufferEqual(proof.header, block.toHead());
+      assert.bufferEqual(proof.headers, block.toHead());
+
+      // 5 leaves need a depth 3 tree
+      assert.equal(proof.intermediateNodes.length, 32 * 3);
+    }
+  });
+
+  it('should split the tx into its parts', () => {
+    const tx = block.txs[3];
+    const proof = SPVProof.fromBlock(block, 3);
+
+    assert.equal(proof.version.readUInt32LE(0), tx.version);
+    assert.equal(proof.locktime.readUInt32LE(0), tx.locktime);
+
+    // vin and vout begin with their length
+    assert.equal(proof.vin[0], tx.inputs.length);
+    assert.equal(proof.vout[0], tx.outputs.length);
+
+    const raw = Buffer.concat([
+      proof.version,
+      proof.vin,
+      proof.vout,
+      proof.locktime
+    ]);
+
+    assert.bufferEqual(raw, tx.toNormal());
+  });
+
+  it('should pack the request indices', () => {
+    const id = random.randomBytes(32);
+
+    const proof = SPVProof.fromBlock(block, 1, {
+      input: 2,
+      output: -1,
+      request: id
+    });
+
+    const json = proof.toJSON();
+
+    assert.equal(json.request, id.toString('hex'));
+    assert.equal(json.input, 2);
+    assert.equal(json.output, 0);
+    assert.equal(json.reqIndices, 0x0200);
+  });
+
+  it('should include the header chain', () => {
+    const next = random.randomBytes(80);
+
+    const proof = SPVProof.fromBlock(block, 0, {
+      headers: [block.toHead(), next]
+    });
+
+    assert.equal(proof.headers.length, 160);
+    assert.bufferEqual(proof.headers.slice(80), next);
+
+    assert.throws(() => SPVProof.fromBlock(block, 0, {
+      headers: [next]
+    }));
+  });
+
+  it('should not verify a tampered proof', () => {
+    const proof = SPVProof.fromBlock(block, 2);
+
+    proof.intermediateNodes = Buffer.from(proof.intermediateNodes);
+    proof.intermediateNodes[0] ^= 1;
+
+    assert(!proof.verify());
+  });
+});
@@ -13,7 +13,7 @@
 'use strict';
 
 const RelayIndexer = require('../lib/indexer');
-const {Network} = require('bcoin');
+const {Network, MTX, Block, Script, Outpoint} = require('bcoin');
 const BlockStore = require('bcoin/lib/blockstore/level');
 const Chain = require('bcoin/lib/blockchain/chain');
 const WorkerPool = require('bcoin/lib/workers/workerpool');
@@ -23,6 +23,7 @@ const Logger = require('blgr');
 const assert = require('bsert');
 const random = require('bcrypto/lib/random');
 const layout = require('../lib/layout');
+const {BufferSet} = require('buffer-map');
 
 // TODO: afterEach step for clearing db
 describe('RelayIndexer', function () {
@@ -239,6 +240,32 @@ describe('RelayIndexer', function () {
     await indexer.deleteRequest(id);
   });
 
+  it('should read Requests written without the newer fields', async () => {
+    const scriptPubKey = b('76a914698fa40f815c7f8e899cf94bf85c48c1993023ce88ac');
+    const id = Buffer.from('00'.repeat(31) + '09', 'hex');
+
+    const request = Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      value: 2000,
+      pays: scriptPubKey
+    });
+
+    // address, value, spends, timestamp and pays
+    // are all that the first encoding held
+    const size = 20 + 8 + 36 + 4 + 1 + scriptPubKey.length;
+    const raw = request.encode().slice(0, size);
+
+    await indexer.db.put(layout.i.encode(id), raw);
+
+    const r = await indexer.getRequest(id);
+
+    assert.deepEqual(r.toJSON(), request.toJSON());
+    assert(r.isActive());
+
+    await indexer.db.del(layout.i.encode(id));
+  });
+
   it('should get/delete all requests', async () => {
     const hexes = [
       b('0014eb945cf9f30663539fd85af8fafcbc656b1c352b'),
@@ -341,6 +368,860 @@ describe('RelayIndexer', function () {
 
     assert.deepEqual(requests, iterated);
   });
+
+  it('should page through Requests', async () => {
+    const ids = [];
+
+    for (let i = 0; i < 4; i++) {
+      const id = Buffer.alloc(32, 0xff);
+      id[31] = i;
+
+      const request = Request.fromOptions({
+        id: id,
+        address: random.randomBytes(20),
+        value: 0,
+        pays: b('0014eb945cf9f30663539fd85af8fafcbc656b1c352b')
+      });
+
+      // the timestamp is set by the test
+      request.timestamp = (i + 1) * 1000;
+      await indexer.writeRequest(request);
+
+      ids.push(id);
+    }
+
+    const first = await indexer.getRequestPage({
+      start: 1000,
+      end: 4000,
+      limit: 2
+    });
+
+    assert.deepEqual(first.map(r => r.id), ids.slice(0, 2));
+
+    const second = await indexer.getRequestPage({
+      start: 1000,
+      end: 4000,
+      after: first[1].id,
+      limit: 2
+    });
+
+    assert.deepEqual(second.map(r => r.id), ids.slice(2));
+
+    const last = await indexer.getRequestPage({limit: 1, reverse: true});
+    assert.deepEqual(last[0].id, ids[3]);
+
+    const before = await indexer.getRequestPage({
+      start: 1000,
+      end: 4000,
+      after: ids[3],
+      reverse: true
+    });
+
+    assert.deepEqual(before.map(r => r.id), ids.slice(0, 3).reverse());
+
+    const range = await indexer.getRequestPage({start: 2000, end: 3000});
+    assert.deepEqual(range.map(r => r.id), ids.slice(1, 3));
+
+    for (const id of ids)
+      await indexer.deleteRequest(id);
+  });
+
+  it('should page through the script records', async () => {
+    const records = await indexer.getScriptRecords();
+    assert(records.length > 1);
+
+    const [first] = await indexer.getScriptRecordPage({limit: 1});
+    assert.deepEqual(first, records[0]);
+
+    const rest = await indexer.getScriptRecordPage({after: first.hash});
+    assert.deepEqual(rest, records.slice(1));
+  });
+
+  it('should emit requests unsatisfied on disconnect', async () => {
+    const pays = b('76a9141d0f172a0ecb48aee1be1f2687d2963ae33f71a188ac');
+
+    const id = Buffer.alloc(32);
+    id[31] = 0x20;
+
+    const request = Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      value: 1000,
+      pays: pays
+    });
+
+    await indexer.addRequest(request);
+
+    const mtx = new MTX();
+    mtx.addOutput(Script.fromRaw(pays), 1000);
+    const tx = mtx.toTX();
+
+    const block = new Block();
+    block.txs.push(tx);
+
+    const meta = {height: 10, hash: block.hash()};
+
+    const items = new BufferSet([pays]);
+    const has = item => items.has(item);
+
+    let satisfied, unsatisfied;
+    indexer.once('requests satisfied', (data) => {
+      satisfied = data;
+    });
+
+    indexer.once('requests unsatisfied', (data) => {
+      unsatisfied = data;
+    });
+
+    await indexer.indexBlock(meta, block, null, has);
+
+    const record = await indexer.getSatisfaction(id);
+    assert(record);
+    assert.bufferEqual(record.txid, tx.hash());
+    assert.bufferEqual(record.block, meta.hash);
+    assert.equal(record.height, meta.height);
+    assert.equal(record.index, 0);
+    assert.equal(record.input, -1);
+    assert.equal(record.output, 0);
+
+    await indexer.unindexBlock(meta, block, null, has);
+
+    assert.equal(await indexer.getSatisfaction(id), null);
+
+    assert(satisfied);
+    assert(unsatisfied);
+
+    assert.equal(unsatisfied.txid, tx.txid());
+    assert.equal(unsatisfied.height, meta.height);
+    assert.equal(unsatisfied.hash, block.rhash());
+    assert.deepEqual(unsatisfied.unsatisfied, satisfied.satisfied);
+    assert.deepEqual(unsatisfied.unsatisfied, [id.toString('hex')]);
+  });
+
+  it('should keep the earlier satisfactions on disconnect', async () => {
+    const pays = Script.fromPubkeyhash(random.randomBytes(20)).toRaw();
+
+    const id = Buffer.alloc(32);
+    id[31] = 0x2c;
+
+    const request = Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      value: 1000,
+      pays: pays,
+      confirmations: 2
+    });
+
+    await indexer.addRequest(request);
+
+    const items = new BufferSet([pays]);
+    const has = item => items.has(item);
+
+    const connected = [];
+
+    for (const height of [10, 11]) {
+      const mtx = new MTX();
+      mtx.addOutput(Script.fromRaw(pays), 1000 + height);
+
+      const block = new Block();
+      block.time = height;
+      block.txs.push(mtx.toTX());
+
+      const meta = {height: height, hash: block.hash()};
+
+      await indexer.indexBlock(meta, block, null, has);
+
+      connected.push([meta, block]);
+    }
+
+    const [[meta10, block10], [meta11, block11]] = connected;
+
+    assert.equal((await indexer.getSatisfactions(id)).length, 2);
+
+    const latest = await indexer.getSatisfaction(id);
+    assert.equal(latest.height, 11);
+    assert.bufferEqual(latest.block, meta11.hash);
+
+    await indexer.unindexBlock(meta11, block11, null, has);
+
+    // the satisfaction at height 10 is still in the chain
+    const record = await indexer.getSatisfaction(id);
+    assert(record);
+    assert.equal(record.height, 10);
+    assert.bufferEqual(record.block, meta10.hash);
+    assert.bufferEqual(record.txid, block10.txs[0].hash());
+
+    assert.equal((await indexer.getSatisfactions(id)).length, 1);
+    assert.deepEqual(await indexer.getPendingConfirmations(12), []);
+
+    await indexer.removeRequest(id);
+    assert.equal(await indexer.getSatisfaction(id), null);
+  });
+
+  it('should emit requests confirmed at the requested depth', async () => {
+    const pays = b('76a914f2b0fb9d4b8a3d9e8a11c8f0a3c1be3b93b0a47588ac');
+
+    const id = Buffer.alloc(32);
+    id[31] = 0x22;
+
+    const request = Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      pays: pays,
+      confirmations: 3
+    });
+
+    await indexer.addRequest(request);
+
+    const mtx = new MTX();
+    mtx.addOutput(Script.fromRaw(pays), 1000);
+    const tx = mtx.toTX();
+
+    const block = new Block();
+    block.txs.push(tx);
+
+    const items = new BufferSet([pays]);
+    const has = item => items.has(item);
+
+    const events = [];
+    const callback = data => events.push(data);
+    indexer.on('requests confirmed', callback);
+
+    const meta = {height: 20, hash: block.hash()};
+    await indexer.indexBlock(meta, block, null, has);
+
+    // a disconnect before the depth is
+    // reached cancels the confirmation
+    await indexer.unindexBlock(meta, block, null, has);
+
+    for (let height = 20; height < 23; height++) {
+      const meta = {height, hash: random.randomBytes(32)};
+      await indexer.indexBlock(meta, new Block(), null, has);
+    }
+
+    assert.equal(events.length, 0);
+
+    // include the tx again and build on top of it
+    await indexer.indexBlock({height: 23, hash: block.hash()}, block, null, has);
+
+    for (let height = 24; height < 26; height++) {
+      const meta = {height, hash: random.randomBytes(32)};
+      await indexer.indexBlock(meta, new Block(), null, has);
+    }
+
+    indexer.removeListener('requests confirmed', callback);
+
+    assert.equal(events.length, 1);
+
+    const [event] = events;
+    assert.equal(event.txid, tx.txid());
+    assert.equal(event.height, 23);
+    assert.equal(event.hash, block.rhash());
+    assert.equal(event.confirmations, 3);
+    assert.deepEqual(event.confirmed, [id.toString('hex')]);
+  });
+
+  it('should only satisfy pays above the threshold value', async () => {
+    const pays = b('0014b4ad4b4a0bc37f1a1ee8a0e4e4a9e5b1c23d1b1f');
+
+    const single = Buffer.alloc(32);
+    single[31] = 0x23;
+
+    const summed = Buffer.alloc(32);
+    summed[31] = 0x24;
+
+    await indexer.addRequest(Request.fromOptions({
+      id: single,
+      address: random.randomBytes(20),
+      value: 5000,
+      pays: pays
+    }));
+
+    await indexer.addRequest(Request.fromOptions({
+      id: summed,
+      address: random.randomBytes(20),
+      value: 5000,
+      pays: pays,
+      sum: true
+    }));
+
+    const items = new BufferSet([pays]);
+    const has = item => items.has(item);
+
+    // dust does not satisfy either Request
+    const dust = new MTX();
+    dust.addOutput(Script.fromRaw(pays), 1000);
+
+    let matches = await indexer.matchTX(dust.toTX(), has);
+    assert.equal(matches.size, 0);
+
+    // two payments that only pass the
+    // threshold when they are summed
+    const split = new MTX();
+    split.addOutput(Script.fromRaw(pays), 3000);
+    split.addOutput(Script.fromRaw(pays), 3000);
+
+    matches = await indexer.matchTX(split.toTX(), has);
+    assert.equal(matches.size, 1);
+
+    const match = matches.get(summed.toString('hex'));
+    assert.equal(match.output, 0);
+    assert.equal(match.value, 6000);
+
+    // a single payment above the threshold
+    const mtx = new MTX();
+    mtx.addOutput(Script.fromRaw(pays), 1000);
+    mtx.addOutput(Script.fromRaw(pays), 7000);
+
+    matches = await indexer.matchTX(mtx.toTX(), has);
+    assert.equal(matches.size, 2);
+    assert.equal(matches.get(single.toString('hex')).output, 1);
+    assert.equal(matches.get(single.toString('hex')).value, 7000);
+    assert.equal(matches.get(summed.toString('hex')).value, 8000);
+  });
+
+  it('should record the nextout of a spent outpoint', async () => {
+    const hash = random.randomBytes(32);
+    const index = 1;
+
+    const id = Buffer.alloc(32);
+    id[31] = 0x21;
+
+    const request = Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      spends: {
+        hash: hash,
+        index: index
+      }
+    });
+
+    await indexer.addRequest(request);
+
+    const prevout = new Outpoint(hash, index);
+
+    const mtx = new MTX();
+    mtx.addOutpoint(prevout);
+    mtx.addOutput(Script.fromRaw(b('6a')), 0);
+    const tx = mtx.toTX();
+
+    const block = new Block();
+    block.txs.push(tx);
+
+    const meta = {height: 11, hash: block.hash()};
+
+    const items = new BufferSet([prevout.toRaw()]);
+    const has = item => items.has(item);
+
+    let orecord = await indexer.getOutpointRecord(hash, index);
+    assert(!orecord.isSpent());
+
+    await indexer.indexBlock(meta, block, null, has);
+
+    orecord = await indexer.getOutpointRecord(hash, index);
+    assert(orecord.isSpent());
+    assert.bufferEqual(orecord.nextout.hash, tx.hash());
+    assert.equal(orecord.nextout.index, 0);
+
+    const spent = await indexer.getOutpointRecords(true);
+    assert(spent.some(r => r.prevout.hash.equals(hash)));
+
+    const unspent = await indexer.getOutpointRecords(false);
+    assert(!unspent.some(r => r.prevout.hash.equals(hash)));
+
+    await indexer.unindexBlock(meta, block, null, has);
+
+    orecord = await indexer.getOutpointRecord(hash, index);
+    assert(!orecord.isSpent());
+  });
+
+  it('should keep the spent outpoint of a satisfied Request', async () => {
+    const hash = random.randomBytes(32);
+    const index = 0;
+
+    const id = Buffer.alloc(32);
+    id[31] = 0x2d;
+
+    await indexer.addRequest(Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      spends: {
+        hash: hash,
+        index: index
+      },
+      mode: 'once'
+    }));
+
+    const prevout = new Outpoint(hash, index);
+
+    const mtx = new MTX();
+    mtx.addOutpoint(prevout);
+    mtx.addOutput(Script.fromRaw(b('6a')), 0);
+    const tx = mtx.toTX();
+
+    const block = new Block();
+    block.txs.push(tx);
+
+    const meta = {height: 12, hash: block.hash()};
+
+    const items = new BufferSet([prevout.toRaw()]);
+    const has = item => items.has(item);
+
+    await indexer.indexBlock(meta, block, null, has);
+
+    const request = await indexer.getRequest(id);
+    assert.equal(request.status, Request.statuses.SATISFIED);
+
+    // no longer watched, but the spend is kept
+    let orecord = await indexer.getOutpointRecord(hash, index);
+    assert(orecord.isSpent());
+    assert.bufferEqual(orecord.nextout.hash, tx.hash());
+    assert.equal(orecord.requests.length, 0);
+
+    const spent = await indexer.getOutpointRecords(true);
+    assert(spent.some(r => r.prevout.hash.equals(hash)));
+
+    // the relay removes it from the filter
+    items.delete(prevout.toRaw());
+
+    await indexer.unindexBlock(meta, block, null, has);
+
+    orecord = await indexer.getOutpointRecord(hash, index);
+    assert(!orecord.isSpent());
+    assert.equal(orecord.requests.length, 1);
+    assert.bufferEqual(orecord.requests[0], id);
+
+    await indexer.removeRequest(id);
+    assert(!await indexer.getOutpointRecord(hash, index));
+  });
+
+  it('should remove a Request from its records', async () => {
+    const pays = random.randomBytes(22);
+    const hash = random.randomBytes(32);
+
+    const first = Buffer.alloc(32);
+    first[31] = 0x25;
+
+    const second = Buffer.alloc(32);
+    second[31] = 0x26;
+
+    await indexer.addRequest(Request.fromOptions({
+      id: first,
+      address: random.randomBytes(20),
+      spends: {
+        hash: hash,
+        index: 0
+      },
+      pays: pays
+    }));
+
+    await indexer.addRequest(Request.fromOptions({
+      id: second,
+      address: random.randomBytes(20),
+      pays: pays
+    }));
+
+    const mtx = new MTX();
+    mtx.addOutpoint(new Outpoint(hash, 0));
+    mtx.addOutput(Script.fromRaw(pays), 1000);
+
+    const block = new Block();
+    block.txs.push(mtx.toTX());
+
+    const meta = {height: 12, hash: block.hash()};
+
+    await indexer.indexBlock(meta, block, null, () => true);
+    assert(await indexer.getSatisfaction(first));
+
+    const [r, orecord, srecord] = await indexer.removeRequest(first);
+
+    assert.bufferEqual(r.id, first);
+    assert.equal(orecord.requests.length, 0);
+    assert.equal(srecord.requests.length, 1);
+
+    assert(!await indexer.hasRequest(first));
+    assert(!await indexer.getSatisfaction(first));
+    assert(!await indexer.getOutpointRecord(hash, 0));
+
+    let record = await indexer.getScriptRecord(pays);
+    assert.equal(record.requests.length, 1);
+    assert.bufferEqual(record.requests[0], second);
+
+    await indexer.removeRequest(second);
+
+    record = await indexer.getScriptRecord(pays);
+    assert.equal(record, null);
+
+    assert.equal(await indexer.removeRequest(first), null);
+  });
+
+  it('should expire a Request at its expiry height', async () => {
+    const pays = random.randomBytes(22);
+
+    const id = Buffer.alloc(32);
+    id[31] = 0x27;
+
+    await indexer.addRequest(Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      pays: pays,
+      expiresAtHeight: 20
+    }));
+
+    const mtx = new MTX();
+    mtx.addOutpoint(new Outpoint(random.randomBytes(32), 0));
+    mtx.addOutput(Script.fromRaw(pays), 1000);
+
+    const block = new Block();
+    block.txs.push(mtx.toTX());
+
+    let expired = null;
+    indexer.once('requests expired', (data) => {
+      expired = data;
+    });
+
+    const meta = {height: 20, hash: block.hash()};
+
+    await indexer.indexBlock(meta, block, null, () => true);
+
+    assert(expired);
+    assert.equal(expired.height, 20);
+    assert.deepEqual(expired.expired, [id.toString('hex')]);
+
+    // the block cannot satisfy the expired request
+    assert(!await indexer.getSatisfaction(id));
+    assert(!await indexer.getScriptRecord(pays));
+
+    const request = await indexer.getRequest(id);
+    assert(request.isExpired(meta.height, block.time));
+    assert.equal(request.status, Request.statuses.EXPIRED);
+
+    let keys = await indexer.db.keys({
+      gte: layout.e.min(),
+      lte: layout.e.max()
+    });
+
+    assert.equal(keys.length, 0);
+
+    // the expiry is undone by a reorg
+    let unexpired = null;
+    indexer.once('requests unexpired', (data) => {
+      unexpired = data;
+    });
+
+    await indexer.unindexBlock(meta, block, null, () => true);
+
+    assert(unexpired);
+    assert.equal(unexpired.height, 20);
+    assert.deepEqual(unexpired.unexpired, [id.toString('hex')]);
+
+    assert((await indexer.getRequest(id)).isActive());
+
+    const srecord = await indexer.getScriptRecord(pays);
+    assert.bufferEqual(srecord.requests[0], id);
+
+    keys = await indexer.db.keys({
+      gte: layout.e.min(),
+      lte: layout.e.max()
+    });
+
+    assert.equal(keys.length, 1);
+
+    await indexer.removeRequest(id);
+  });
+
+  it('should not expire or confirm Requests in a rescan', async () => {
+    const pays = random.randomBytes(22);
+
+    const id = Buffer.alloc(32);
+    id[31] = 0x2a;
+
+    await indexer.addRequest(Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      pays: pays,
+      confirmations: 3,
+      expiresAtHeight: 30
+    }));
+
+    const mtx = new MTX();
+    mtx.addOutpoint(new Outpoint(random.randomBytes(32), 0));
+    mtx.addOutput(Script.fromRaw(pays), 1000);
+
+    const block = new Block();
+    block.txs.push(mtx.toTX());
+
+    const events = [];
+    const onEvent = type => data => events.push([type, data]);
+
+    const onExpired = onEvent('expired');
+    const onConfirmed = onEvent('confirmed');
+
+    indexer.on('requests expired', onExpired);
+    indexer.on('requests confirmed', onConfirmed);
+
+    // a past block above the expiry height
+    const meta = {height: 40, hash: block.hash()};
+    const matches = await indexer.rescanBlock(meta, block, () => true);
+
+    indexer.removeListener('requests expired', onExpired);
+    indexer.removeListener('requests confirmed', onConfirmed);
+
+    assert.equal(matches, 1);
+    assert.deepEqual(events, []);
+    assert(await indexer.getSatisfaction(id));
+
+    const request = await indexer.getRequest(id);
+    assert(request.isActive());
+
+    // the depth of 3 is not tracked from the past block
+    const pending = await indexer.getPendingConfirmations(42);
+    assert.equal(pending.length, 0);
+
+    await indexer.removeRequest(id);
+  });
+
+  it('should only satisfy a once Request one time', async () => {
+    const pays = random.randomBytes(22);
+
+    const id = Buffer.alloc(32);
+    id[31] = 0x28;
+
+    await indexer.addRequest(Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      pays: pays,
+      mode: 'once'
+    }));
+
+    const blocks = [];
+
+    for (let i = 0; i < 2; i++) {
+      const mtx = new MTX();
+      mtx.addOutpoint(new Outpoint(random.randomBytes(32), 0));
+      mtx.addOutput(Script.fromRaw(pays), 1000);
+
+      const block = new Block();
+      block.txs.push(mtx.toTX());
+      blocks.push(block);
+    }
+
+    const meta = {height: 30, hash: blocks[0].hash()};
+
+    await indexer.indexBlock(meta, blocks[0], null, () => true);
+
+    let request = await indexer.getRequest(id);
+    assert.equal(request.status, Request.statuses.SATISFIED);
+    assert(!await indexer.getScriptRecord(pays));
+
+    let satisfied = false;
+    const listener = () => {
+      satisfied = true;
+    };
+
+    indexer.on('requests satisfied', listener);
+
+    const next = {height: 31, hash: blocks[1].hash()};
+    await indexer.indexBlock(next, blocks[1], null, () => true);
+
+    indexer.removeListener('requests satisfied', listener);
+    assert(!satisfied);
+
+    // the satisfaction is undone by a reorg
+    await indexer.unindexBlock(next, blocks[1], null, () => true);
+    await indexer.unindexBlock(meta, blocks[0], null, () => true);
+
+    request = await indexer.getRequest(id);
+    assert(request.isActive());
+    assert(!await indexer.getSatisfaction(id));
+
+    const srecord = await indexer.getScriptRecord(pays);
+    assert.bufferEqual(srecord.requests[0], id);
+
+    const record = await indexer.getStatusRecord(id);
+    const statuses = record.transitions.map(t => t.status);
+
+    assert.deepEqual(statuses, [
+      Request.statuses.ACTIVE,
+      Request.statuses.SATISFIED,
+      Request.statuses.ACTIVE
+    ]);
+
+    const cancelled = await indexer.cancelRequest(id);
+    assert.equal(cancelled.status, Request.statuses.CANCELLED);
+    assert(!await indexer.getScriptRecord(pays));
+
+    const active = await indexer.getRequests(Request.statuses.ACTIVE);
+    assert(!active.some(r => r.id.equals(id)));
+  });
+
+  it('should satisfy a Request by its pattern', async () => {
+    const id = Buffer.alloc(32);
+    id[31] = 0x29;
+
+    await indexer.addRequest(Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      pattern: {
+        type: 'prefix',
+        data: b('6f6d6e69')
+      }
+    }));
+
+    const mtx = new MTX();
+    mtx.addOutpoint(new Outpoint(random.randomBytes(32), 0));
+    mtx.addOutput(Script.fromRaw(random.randomBytes(22)), 1000);
+    mtx.addOutput(Script.fromNulldata(b('6f6d6e6901')), 0);
+
+    const block = new Block();
+    block.txs.push(mtx.toTX());
+
+    let satisfied = null;
+    indexer.once('requests satisfied', (data) => {
+      satisfied = data;
+    });
+
+    const meta = {height: 40, hash: block.hash()};
+
+    // patterns are matched without the filter
+    await indexer.indexBlock(meta, block, null, () => false);
+
+    assert(satisfied);
+    assert.deepEqual(satisfied.satisfied, [id.toString('hex')]);
+
+    const record = await indexer.getSatisfaction(id);
+    assert.equal(record.output, 1);
+
+    await indexer.removeRequest(id);
+    assert.equal(indexer.patterns.size, 0);
+  });
+
+  it('should satisfy a Request when its txid confirms', async () => {
+    const id = Buffer.alloc(32);
+    id[31] = 0x2a;
+
+    const mtx = new MTX();
+    mtx.addOutpoint(new Outpoint(random.randomBytes(32), 0));
+    mtx.addOutput(Script.fromRaw(random.randomBytes(22)), 1000);
+
+    const tx = mtx.toTX();
+
+    const [, orecord, srecord, trecord] = await indexer.addRequest(
+      Request.fromOptions({
+        id: id,
+        address: random.randomBytes(20),
+        confirms: tx.hash()
+      })
+    );
+
+    assert.equal(orecord, null);
+    assert.equal(srecord, null);
+    assert.bufferEqual(trecord.txid, tx.hash());
+
+    const block = new Block();
+    block.txs.push(tx);
+
+    let satisfied = null;
+    indexer.once('requests satisfied', (data) => {
+      satisfied = data;
+    });
+
+    const meta = {height: 41, hash: block.hash()};
+
+    await indexer.indexBlock(meta, block, null, (item) => {
+      return item.equals(tx.hash());
+    });
+
+    assert(satisfied);
+    assert.deepEqual(satisfied.satisfied, [id.toString('hex')]);
+
+    const record = await indexer.getSatisfaction(id);
+    assert.equal(record.input, -1);
+    assert.equal(record.output, -1);
+
+    const removed = await indexer.removeRequest(id);
+    assert.equal(removed[3].requests.length, 0);
+    assert.equal(await indexer.getTXRecord(tx.hash()), null);
+  });
+
+  it('should move the window of a descriptor on a match', async () => {
+    const id = Buffer.alloc(32);
+    id[31] = 0x2b;
+
+    const xpub = 'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGh'
+      + 'ePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8';
+
+    const [request] = await indexer.addRequest(Request.fromOptions({
+      id: id,
+      address: random.randomBytes(20),
+      descriptor: `wpkh(${xpub}/0/*)`,
+      gap: 2
+    }));
+
+    const scripts = [];
+    for (let i = 0; i < 4; i++)
+      scripts.push(request.descriptor.derive(i).toRaw());
+
+    assert(await indexer.getScriptRecord(scripts[1]));
+    assert.equal(await indexer.getScriptRecord(scripts[2]), null);
+
+    const mtx = new MTX();
+    mtx.addOutpoint(new Outpoint(random.randomBytes(32), 0));
+    mtx.addOutput(Script.fromRaw(scripts[1]), 1000);
+
+    const block = new Block();
+    block.txs.push(mtx.toTX());
+
+    let satisfied = null;
+    indexer.once('requests satisfied', (data) => {
+      satisfied = data;
+    });
+
+    const meta = {height: 42, hash: block.hash()};
+
+    await indexer.indexBlock(meta, block, null, (item) => {
+      return item.equals(scripts[1]);
+    });
+
+    assert(satisfied);
+    assert.deepEqual(satisfied.paths, {[id.toString('hex')]: 'm/0/1'});
+
+    const updated = await indexer.getRequest(id);
+    assert.equal(updated.next, 2);
+    assert(await indexer.getScriptRecord(scripts[3]));
+    assert.equal(await indexer.getDerivation(id, scripts[3]), 3);
+
+    await indexer.removeRequest(id);
+
+    for (const script of scripts)
+      assert.equal(await indexer.getScriptRecord(script), null);
+  });
+
+  it('should emit the events of a batch once it is committed', async () => {
+    const events = [];
+    const listener = record => events.push(record);
+
+    indexer.on('event', listener);
+
+    indexer.start();
+
+    const record = await indexer.logEvent('requests expired', {expired: []});
+
+    // not readable before the commit
+    assert.equal(events.length, 0);
+    assert.deepEqual(await indexer.getEvents(record.seq - 1, 10), []);
+
+    await indexer.commit();
+
+    indexer.removeListener('event', listener);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].seq, record.seq);
+
+    const [logged] = await indexer.getEvents(record.seq - 1, 10);
+    assert.equal(logged.seq, record.seq);
+    assert.equal(logged.type, 'requests expired');
+  });
 });
 
 // python like buffer constructor
@@ -18,7 +18,7 @@ const RelayClient = require('../lib/client');
 const random = require('bcrypto/lib/random');
 const assert = require('bsert');
 const {NodeClient, WalletClient} = require('bcoin/lib/client');
-const {MTX, Coin, Output} = require('bcoin');
+const {Address, MTX, Coin, Output} = require('bcoin');
 
 const ports = {
   p2p: 49211,
@@ -34,6 +34,7 @@ const node = new FullNode({
   port: ports.p2p,
   httpPort: ports.node,
   relayHttpPort: ports.relay,
+  indexFilter: true,
   plugins: [
     require('bcoin/lib/wallet/plugin'),
     require('../lib/plugin')
@@ -194,10 +195,144 @@ describe('HTTP Rescan', function() {
 
     rclient.bind('relay requests satisfied', callback);
 
-    await rclient.rescan(height);
+    let done;
+    const complete = new Promise((resolve) => {
+      done = resolve;
+    });
+
+    rclient.bind('relay rescan complete', done);
+
+    const job = await rclient.rescan(height);
+    assert.equal(job.start, height);
+
+    // the rescan runs in the background
+    const result = await complete;
 
+    assert.equal(result.id, job.id);
+    assert.equal(result.status, 'done');
+    assert.equal(result.matches, eventData.satisfied.length);
     assert(event);
 
+    const info = await rclient.getRescan(job.id);
+    assert.deepEqual(info, result);
+
+    rclient.socket.unbind('relay requests satisfied', callback);
+    rclient.socket.unbind('relay rescan complete', done);
+  });
+
+  it('should not cancel a finished rescan', async () => {
+    const jobs = await rclient.getRescans();
+    assert(jobs.length > 0);
+
+    const [job] = jobs;
+    assert.equal(job.status, 'done');
+
+    await assert.rejects(rclient.cancelRescan(job.id));
+  });
+
+  it('should rescan for a new Request only', async () => {
+    const id = '00'.repeat(31) + '02';
+    const events = [];
+
+    function callback(data) {
+      events.push(data);
+    }
+
+    rclient.bind('relay requests satisfied', callback);
+
+    const result = await rclient.putRequestRecord({
+      id: id,
+      address: random.randomBytes(20).toString('hex'),
+      value: consensus.COIN,
+      spends: {
+        hash: coin.txid(),
+        index: coin.index
+      },
+      height: height
+    });
+
+    // a short rescan finishes before the response
+    assert.equal(result.rescan.status, 'done');
+    assert.equal(result.rescan.request, id);
+    assert.equal(result.rescan.matches, 1);
+
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0].satisfied, [id]);
+
+    const satisfaction = await rclient.getSatisfaction(id);
+    assert.equal(satisfaction.txid, eventData.txid);
+
+    rclient.socket.unbind('relay requests satisfied', callback);
+  });
+
+  it('should skip blocks by their compact filters', async () => {
+    const result = await rclient.putRequestRecord({
+      id: '00'.repeat(31) + '03',
+      address: random.randomBytes(20).toString('hex'),
+      value: 0,
+      pays: '0014' + random.randomBytes(20).toString('hex'),
+      height: 0
+    });
+
+    assert.equal(result.rescan.status, 'done');
+    assert.equal(result.rescan.matches, 0);
+    assert(result.rescan.skipped > 0);
+  });
+
+  it('should not rescan the blocks connected after it started', async () => {
+    const id = '00'.repeat(31) + '04';
+    const address = Address.fromPubkeyhash(random.randomBytes(20));
+
+    await rclient.putRequestRecord({
+      id: id,
+      address: random.randomBytes(20).toString('hex'),
+      value: 0,
+      pays: address.toString('regtest')
+    });
+
+    const events = [];
+
+    let satisfied;
+    const connected = new Promise((resolve) => {
+      satisfied = resolve;
+    });
+
+    function callback(data) {
+      if (data.satisfied.includes(id)) {
+        events.push(data);
+        satisfied();
+      }
+    }
+
+    rclient.bind('relay requests satisfied', callback);
+
+    let done;
+    const complete = new Promise((resolve) => {
+      done = resolve;
+    });
+
+    rclient.bind('relay rescan complete', done);
+
+    const {chain} = node;
+    const tip = chain.tip.height;
+
+    const job = await rclient.rescan(0);
+    assert.equal(job.target, tip);
+
+    // the block is satisfied once, at the tip
+    await nclient.execute('generatetoaddress', [1, address.toString('regtest')]);
+
+    await connected;
+
+    const result = await complete;
+    assert.equal(result.status, 'done');
+    assert.equal(result.target, tip);
+    assert.equal(result.height, tip + 1);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].height, tip + 1);
+
     rclient.socket.unbind('relay requests satisfied', callback);
+    rclient.socket.unbind('relay rescan complete', done);
   });
 });
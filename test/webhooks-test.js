@@ -0,0 +1,202 @@
+/**
+ * webhooks-test.js - Relay Webhook Tests
+ * Copyright (c) 2019, Mark Tyneway (Apache-2.0 License).
+ * https://github.com/summa-tx/bcoin-relaylib
+ *
+ * This software is based on bcoin
+ * https://github.com/bcoin-org/bcoin
+ * Copyright (c) 2014-2015, Fedor Indutny (MIT License)
+ * Copyright (c) 2014-2017, Christopher Jeffrey (MIT License).
+ * Copyright (c) 2017-2019, bcoin developers (MIT License).
+ */
+
+'use strict';
+
+const http = require('http');
+const FullNode = require('bcoin/lib/node/fullnode');
+const RelayClient = require('../lib/client');
+const random = require('bcrypto/lib/random');
+const sha256 = require('bcrypto/lib/sha256');
+const assert = require('bsert');
+const {NodeClient} = require('bcoin/lib/client');
+const {Address} = require('bcoin');
+
+const ports = {
+  p2p: 49311,
+  node: 49312,
+  relay: 49314,
+  hook: 49315
+};
+
+const secret = 'bar';
+
+const node = new FullNode({
+  network: 'regtest',
+  memory: true,
+  apiKey: 'foo',
+  port: ports.p2p,
+  httpPort: ports.node,
+  relayHttpPort: ports.relay,
+  relayWebhookUrl: `http://127.0.0.1:${ports.hook}/relay`,
+  relayWebhookSecret: secret,
+  plugins: [
+    require('../lib/plugin')
+  ]
+});
+
+const nclient = new NodeClient({
+  network: 'regtest',
+  apiKey: 'foo',
+  port: ports.node
+});
+
+const rclient = new RelayClient({
+  network: 'regtest',
+  apiKey: 'foo',
+  port: ports.relay
+});
+
+// stands in for the webhook targets, records
+// each post and fails the first failures posts
+const server = http.createServer((req, res) => {
+  const chunks = [];
+
+  req.on('data', chunk => chunks.push(chunk));
+
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const failed = server.failures > 0;
+
+    if (failed)
+      server.failures -= 1;
+
+    server.posts.push({
+      path: req.url,
+      signature: req.headers['x-relay-signature'],
+      body: body,
+      failed: failed
+    });
+
+    res.statusCode = failed ? 500 : 200;
+    res.end();
+  });
+});
+
+server.posts = [];
+server.failures = 0;
+
+function randomAddress() {
+  const hash = random.randomBytes(20);
+  return Address.fromPubkeyhash(hash).toString('regtest');
+}
+
+async function waitFor(test, timeout = 5000) {
+  const start = Date.now();
+
+  while (!(await test())) {
+    assert(Date.now() - start < timeout, 'Timed out.');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+function delivered(path) {
+  return server.posts.filter(post => post.path === path && !post.failed);
+}
+
+describe('Webhooks', function() {
+  this.timeout(10000);
+
+  before(async () => {
+    await new Promise(resolve => server.listen(ports.hook, resolve));
+    await node.open();
+    await rclient.open();
+  });
+
+  after(async () => {
+    await rclient.close();
+    await node.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    server.posts = [];
+    server.failures = 0;
+  });
+
+  it('should post satisfactions to the webhook and the callback', async () => {
+    const id = '00'.repeat(31) + '01';
+    const address = randomAddress();
+
+    await rclient.putRequestRecord({
+      id: id,
+      address: random.randomBytes(20).toString('hex'),
+      value: 0,
+      pays: address,
+      callback: `http://127.0.0.1:${ports.hook}/callback`
+    });
+
+    await nclient.execute('generatetoaddress', [1, address]);
+
+    await waitFor(() => {
+      return delivered('/relay').length === 1
+        && delivered('/callback').length === 1;
+    });
+
+    for (const post of server.posts) {
+      const mac = sha256.mac(Buffer.from(post.body), Buffer.from(secret));
+      assert.equal(post.signature, mac.toString('hex'));
+
+      const event = JSON.parse(post.body);
+      assert.equal(event.type, 'requests satisfied');
+      assert.deepEqual(event.data.satisfied, [id]);
+    }
+
+    // the body is the logged event
+    const [post] = delivered('/relay');
+    const event = JSON.parse(post.body);
+    const events = await rclient.getEvents({since: event.seq - 1, limit: 1});
+    assert.deepEqual(events[0], event);
+  });
+
+  it('should retry failed deliveries', async () => {
+    const address = randomAddress();
+
+    await rclient.putRequestRecord({
+      id: '00'.repeat(31) + '02',
+      address: random.randomBytes(20).toString('hex'),
+      value: 0,
+      pays: address,
+      callback: `http://127.0.0.1:${ports.hook}/callback`
+    });
+
+    server.failures = 2;
+
+    await nclient.execute('generatetoaddress', [1, address]);
+
+    await waitFor(() => {
+      return delivered('/relay').length === 1
+        && delivered('/callback').length === 1;
+    });
+
+    const failed = server.posts.filter(post => post.failed);
+    assert.equal(failed.length, 2);
+
+    // accepted deliveries leave the queue
+    const {indexer} = node.require('relay').relay;
+
+    await waitFor(async () => {
+      const queued = await indexer.getWebhooks();
+      return queued.length === 0;
+    });
+  });
+
+  it('should not accept an invalid callback', async () => {
+    await assert.rejects(rclient.putRequestRecord({
+      id: '00'.repeat(31) + '03',
+      address: random.randomBytes(20).toString('hex'),
+      value: 0,
+      pays: randomAddress(),
+      callback: 'ftp://127.0.0.1/callback'
+    }));
+  });
+});